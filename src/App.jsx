@@ -12,6 +12,9 @@ const Home = lazy(() => import('./pages/Home'));
 const BingoLive = lazy(() => import('./pages/BingoLive'));
 const MyCards = lazy(() => import('./pages/MyCards'));
 const Admin = lazy(() => import('./pages/Admin'));
+const GameReplay = lazy(() => import('./pages/GameReplay'));
+const Lobby = lazy(() => import('./pages/Lobby'));
+const CardVerification = lazy(() => import('./pages/CardVerification'));
 
 const queryClient = new QueryClient();
 
@@ -41,8 +44,11 @@ function App() {
                   {/* Public routes with layout */}
                   <Route element={<Layout />}>
                     <Route path="/" element={<Home />} />
-                    <Route path="/bingo-live" element={<BingoLive />} />
+                    <Route path="/salas" element={<Lobby />} />
+                    <Route path="/bingo-live/:roomId?" element={<BingoLive />} />
                     <Route path="/mis-cartones" element={<MyCards />} />
+                    <Route path="/partidas/:gameId" element={<GameReplay />} />
+                    <Route path="/carton/:cardId" element={<CardVerification />} />
                   </Route>
 
                   {/* Admin route (no layout) */}
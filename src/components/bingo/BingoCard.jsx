@@ -1,9 +1,9 @@
 import { useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { evaluatePattern } from '../../utils/bingoPatterns';
+import { getCardLayout } from '../../utils/bingoVariants';
 import './BingoCard.css';
 
-const COLUMNS = ['B', 'I', 'N', 'G', 'O'];
-
 function BingoCard({
   card,
   calledNumbers = [],
@@ -13,35 +13,69 @@ function BingoCard({
   showStamp = true,
   size = 'normal',
   index = 0,
+  gameMode = null,
+  patternGrid = null, // resolved grid of a custom mode (custom grids load asynchronously)
+  daubMode = 'auto', // 'auto' marks called numbers, 'manual' lets the player daub
+  daubedNumbers = [],
+  onDaub,
 }) {
+  const isManual = daubMode === 'manual';
+
   const markedNumbers = useMemo(() => {
     return new Set(calledNumbers);
   }, [calledNumbers]);
 
+  const daubedSet = useMemo(() => {
+    return new Set(daubedNumbers);
+  }, [daubedNumbers]);
+
+  // Numbers that count for the pattern: in manual mode, only the called ones the player daubed
+  const patternNumbers = useMemo(() => {
+    if (!isManual) return markedNumbers;
+    return new Set([...daubedSet].filter((number) => markedNumbers.has(number)));
+  }, [isManual, markedNumbers, daubedSet]);
+
+  // Evaluate the active pattern (only when a game mode is given)
+  const patternResult = useMemo(() => {
+    if (!gameMode || !card?.numbers) return null;
+    return evaluatePattern(card.numbers, patternNumbers, gameMode, patternGrid);
+  }, [card, patternNumbers, gameMode, patternGrid]);
+
+  // 75-ball cards come by column (5x5), 90/30-ball tickets by row with blank cells
+  const layout = useMemo(() => getCardLayout(card?.numbers), [card]);
+
   const grid = useMemo(() => {
-    if (!card?.numbers) return null;
+    if (!layout) return null;
 
+    const patternCells = new Set(patternResult?.patternCells || []);
     const rows = [];
-    for (let row = 0; row < 5; row++) {
+    for (let row = 0; row < layout.rows; row++) {
       const rowCells = [];
-      for (let col = 0; col < 5; col++) {
-        const column = COLUMNS[col];
-        const value = card.numbers[column][row];
+      for (let col = 0; col < layout.cols; col++) {
+        const value = layout.valueAt(row, col);
+        const isBlank = value === null;
         const isFree = value === 'FREE';
-        const isMarked = isFree || markedNumbers.has(value);
+        const isCalled = markedNumbers.has(value);
+        const isDaubed = daubedSet.has(value);
+        const isMarked = !isBlank && (isFree || (isManual ? isDaubed : isCalled));
+        const cellIndex = row * layout.cols + col;
 
         rowCells.push({
           value,
-          column,
+          isBlank,
           isFree,
           isMarked,
-          cellIndex: row * 5 + col,
+          // Manual mode: daubed but never called, or called but not daubed yet
+          isMistake: isManual && !isFree && isDaubed && !isCalled,
+          isMissed: isManual && !isFree && isCalled && !isDaubed,
+          inPattern: patternCells.has(cellIndex),
+          cellIndex,
         });
       }
       rows.push(rowCells);
     }
     return rows;
-  }, [card, markedNumbers]);
+  }, [layout, markedNumbers, daubedSet, isManual, patternResult]);
 
   if (!grid) {
     return (
@@ -60,9 +94,15 @@ function BingoCard({
     }
   };
 
+  const handleCellClick = (cell) => {
+    if (isManual && onDaub && !cell.isFree && !cell.isBlank) {
+      onDaub(card, cell.value);
+    }
+  };
+
   return (
     <motion.div
-      className={`bingo-card ${size} ${selectable ? 'selectable' : ''} ${selected ? 'selected' : ''}`}
+      className={`bingo-card ${size} ${layout.headers ? '' : `ticket cols-${layout.cols}`} ${selectable ? 'selectable' : ''} ${selected ? 'selected' : ''} ${patternResult?.isComplete ? 'has-bingo' : ''}`}
       onClick={handleClick}
       initial={{ opacity: 0, scale: 0.8, rotateY: -15 }}
       animate={{ opacity: 1, scale: 1, rotateY: 0 }}
@@ -84,20 +124,22 @@ function BingoCard({
       {/* Animated border gradient */}
       <div className="card-border-glow" />
 
-      {/* Header with BINGO letters */}
-      <div className="bingo-header">
-        {COLUMNS.map((letter, i) => (
-          <motion.div
-            key={letter}
-            className="bingo-header-cell"
-            initial={{ opacity: 0, y: -20 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ delay: 0.1 + i * 0.05 }}
-          >
-            {letter}
-          </motion.div>
-        ))}
-      </div>
+      {/* Header with BINGO letters (90/30-ball tickets have none) */}
+      {layout.headers && (
+        <div className="bingo-header">
+          {layout.headers.map((letter, i) => (
+            <motion.div
+              key={letter}
+              className="bingo-header-cell"
+              initial={{ opacity: 0, y: -20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 + i * 0.05 }}
+            >
+              {letter}
+            </motion.div>
+          ))}
+        </div>
+      )}
 
       {/* Grid */}
       <div className="bingo-grid">
@@ -106,7 +148,8 @@ function BingoCard({
             {row.map((cell, colIndex) => (
               <motion.div
                 key={`${rowIndex}-${colIndex}`}
-                className={`bingo-cell ${cell.isFree ? 'free' : ''} ${cell.isMarked ? 'marked' : ''}`}
+                className={`bingo-cell ${cell.isFree ? 'free' : ''} ${cell.isBlank ? 'blank' : ''} ${cell.isMarked ? 'marked' : ''} ${cell.inPattern ? 'in-pattern' : ''} ${cell.isMistake ? 'mistake' : ''} ${cell.isMissed ? 'missed' : ''} ${isManual && onDaub && !cell.isFree && !cell.isBlank ? 'daubable' : ''}`}
+                onClick={() => handleCellClick(cell)}
                 initial={{ opacity: 0, scale: 0 }}
                 animate={{ opacity: 1, scale: 1 }}
                 transition={{
@@ -115,7 +158,7 @@ function BingoCard({
                   stiffness: 300,
                   damping: 20,
                 }}
-                whileHover={!cell.isMarked ? { scale: 1.1, zIndex: 10 } : {}}
+                whileHover={!cell.isMarked && !cell.isBlank ? { scale: 1.1, zIndex: 10 } : {}}
               >
                 <span className="cell-value">
                   {cell.isFree ? (
@@ -159,6 +202,16 @@ function BingoCard({
                     transition={{ duration: 2, repeat: Infinity }}
                   />
                 )}
+
+                {/* Manual daubing: called number not daubed yet */}
+                {cell.isMissed && (
+                  <motion.span
+                    className="missed-indicator"
+                    title="Número cantado sin marcar"
+                    animate={{ scale: [1, 1.3, 1] }}
+                    transition={{ duration: 1.2, repeat: Infinity }}
+                  />
+                )}
               </motion.div>
             ))}
           </div>
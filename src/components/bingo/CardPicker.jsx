@@ -0,0 +1,250 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { GlowButton, GlassCard } from '../ui';
+import BingoCard from './BingoCard';
+import { useAvailableCards, useCardReservation } from '../../hooks';
+import { config } from '../../config';
+import { parseNumberFilter } from '../../utils/cardPicker';
+import { formatHoldTime } from '../../utils/cardReservation';
+import './CardPicker.css';
+
+// Browse the available cards, pick specific ones, hold them and pay for exactly those
+function CardPicker({
+  roomId,
+  onPurchase, // (quantity, { cardIds, reservationId }) => Promise<boolean>
+  onLogin,
+  purchasing = false,
+  isLoggedIn = false,
+  disabled = false,
+  pricePerCard = config.cardPrice,
+  maxNumber = 75,
+}) {
+  const [page, setPage] = useState(1);
+  const [filterInput, setFilterInput] = useState('');
+  const [numbers, setNumbers] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [error, setError] = useState(null);
+
+  const { cards, total, totalPages, loading, refresh } = useAvailableCards({ roomId, page, numbers });
+  const { reservation, secondsLeft, expired, reserving, reserve, release, clear } = useCardReservation(roomId);
+
+  // Start over when switching rooms (useCardReservation releases the old room's hold)
+  const [prevRoomId, setPrevRoomId] = useState(roomId);
+  if (prevRoomId !== roomId) {
+    setPrevRoomId(roomId);
+    setPage(1);
+    setSelected([]);
+    setError(null);
+  }
+
+  const selectedIds = selected.map((card) => card.id);
+  const maxCards = config.maxCardsPerPurchase;
+  const held = !!reservation;
+
+  const toggleCard = (card) => {
+    if (held) return;
+    setError(null);
+    if (selectedIds.includes(card.id)) {
+      setSelected((prev) => prev.filter((c) => c.id !== card.id));
+    } else if (selected.length >= maxCards) {
+      setError(`Puedes elegir como máximo ${maxCards} cartones por compra`);
+    } else {
+      setSelected((prev) => [...prev, card]);
+    }
+  };
+
+  const applyFilter = (e) => {
+    e.preventDefault();
+    setNumbers(parseNumberFilter(filterInput, maxNumber));
+    setPage(1);
+  };
+
+  const clearFilter = () => {
+    setFilterInput('');
+    setNumbers([]);
+    setPage(1);
+  };
+
+  const handleReserve = async () => {
+    if (!isLoggedIn) {
+      onLogin?.();
+      return;
+    }
+    setError(null);
+    try {
+      const next = await reserve({ cardIds: selectedIds });
+      // Someone else bought part of the selection in the meantime
+      if (next.cardIds.length < selectedIds.length) {
+        setSelected((prev) => prev.filter((card) => next.cardIds.includes(card.id)));
+        setError(`Solo se pudieron reservar ${next.cardIds.length} de ${selectedIds.length} cartones; los demás ya no están disponibles`);
+      }
+    } catch (err) {
+      setError(err.message);
+      refresh();
+    }
+  };
+
+  const handlePay = async () => {
+    if (!reservation) return;
+    const purchased = await onPurchase(reservation.cardIds.length, {
+      cardIds: reservation.cardIds,
+      reservationId: reservation.id,
+    });
+    if (purchased) {
+      clear();
+      setSelected([]);
+      refresh();
+    }
+  };
+
+  const handleCancelHold = () => {
+    release();
+    refresh();
+  };
+
+  const totalPrice = selected.length * pricePerCard;
+
+  return (
+    <div className="card-picker">
+      <GlassCard className="picker-toolbar">
+        <form className="picker-filter" onSubmit={applyFilter}>
+          <label htmlFor="picker-numbers">Tus números de la suerte</label>
+          <div className="picker-filter-row">
+            <input
+              id="picker-numbers"
+              type="text"
+              inputMode="numeric"
+              value={filterInput}
+              onChange={(e) => setFilterInput(e.target.value)}
+              placeholder="Ej: 7, 13, 21"
+            />
+            <GlowButton type="submit" variant="outline" size="sm">
+              Filtrar
+            </GlowButton>
+            {numbers.length > 0 && (
+              <button type="button" className="picker-link-btn" onClick={clearFilter}>
+                Quitar filtro
+              </button>
+            )}
+          </div>
+        </form>
+        <span className="picker-count">
+          {total} cartón{total === 1 ? '' : 'es'} disponible{total === 1 ? '' : 's'}
+          {numbers.length > 0 && ` con ${numbers.join(', ')}`}
+        </span>
+      </GlassCard>
+
+      <AnimatePresence>
+        {error && (
+          <motion.p
+            className="picker-error"
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+          >
+            {error}
+          </motion.p>
+        )}
+      </AnimatePresence>
+
+      {loading ? (
+        <div className="picker-grid">
+          {[...Array(6)].map((_, i) => (
+            <motion.div
+              key={i}
+              className="bingo-card-skeleton"
+              initial={{ opacity: 0 }}
+              animate={{ opacity: [0.3, 0.6, 0.3] }}
+              transition={{ duration: 1.5, repeat: Infinity, delay: i * 0.1 }}
+            />
+          ))}
+        </div>
+      ) : cards.length === 0 ? (
+        <p className="picker-empty">No hay cartones disponibles con esos números.</p>
+      ) : (
+        <div className={`picker-grid ${held ? 'held' : ''}`}>
+          {cards.map((card, index) => (
+            <BingoCard
+              key={card.id}
+              card={card}
+              size="small"
+              index={index}
+              selectable={!disabled && !held}
+              selected={selectedIds.includes(card.id)}
+              onSelect={toggleCard}
+              showStamp={false}
+            />
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="picker-pagination">
+          <button className="picker-page-btn" onClick={() => setPage(page - 1)} disabled={page <= 1 || loading}>
+            ◀ Anterior
+          </button>
+          <span>Página {page} de {totalPages}</span>
+          <button className="picker-page-btn" onClick={() => setPage(page + 1)} disabled={page >= totalPages || loading}>
+            Siguiente ▶
+          </button>
+        </div>
+      )}
+
+      {/* Selection summary, hold countdown and payment */}
+      <GlassCard glow className={`picker-summary ${held ? 'held' : ''}`}>
+        <div className="picker-summary-info">
+          <span className="picker-summary-count">
+            {selected.length} cartón{selected.length === 1 ? '' : 'es'} elegido{selected.length === 1 ? '' : 's'}
+          </span>
+          {selected.length > 0 && (
+            <span className="picker-summary-ids">
+              {selected.map((card) => `#${card.id.slice(-6)}`).join(' · ')}
+            </span>
+          )}
+          <span className="picker-summary-total">
+            ${totalPrice} <span className="currency">USDC</span>
+          </span>
+        </div>
+
+        {held ? (
+          <div className="picker-hold">
+            <span className={`picker-hold-timer ${secondsLeft <= 30 ? 'urgent' : ''}`}>
+              Reservados por {formatHoldTime(secondsLeft)}
+            </span>
+            <div className="picker-hold-actions">
+              <button className="picker-link-btn" onClick={handleCancelHold} disabled={purchasing}>
+                Cancelar reserva
+              </button>
+              <GlowButton onClick={handlePay} loading={purchasing} disabled={disabled || purchasing}>
+                {purchasing ? 'Procesando...' : `Pagar $${totalPrice}`}
+              </GlowButton>
+            </div>
+          </div>
+        ) : (
+          <div className="picker-hold">
+            {expired && (
+              <span className="picker-hold-timer urgent">
+                La reserva expiró; vuelve a reservar para pagar
+              </span>
+            )}
+            <GlowButton
+              onClick={handleReserve}
+              loading={reserving}
+              disabled={disabled || reserving || (isLoggedIn && selected.length === 0)}
+            >
+              {disabled
+                ? 'Compras bloqueadas'
+                : !isLoggedIn
+                  ? 'Iniciar sesion para comprar'
+                  : selected.length > 0
+                    ? `Reservar ${selected.length} cartón${selected.length === 1 ? '' : 'es'}`
+                    : 'Elige tus cartones'}
+            </GlowButton>
+          </div>
+        )}
+      </GlassCard>
+    </div>
+  );
+}
+
+export default CardPicker;
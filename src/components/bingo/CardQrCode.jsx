@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getCardVerifyPath, renderCardQrSvg } from '../../utils/cardVerification';
+import './CardQrCode.css';
+
+// QR linking to the card's public verification page
+function CardQrCode({ cardId, size = 160, showLink = true }) {
+  const [svg, setSvg] = useState(null);
+
+  // Drop the previous code while the new one renders
+  const [prevCardId, setPrevCardId] = useState(cardId);
+  if (prevCardId !== cardId) {
+    setPrevCardId(cardId);
+    setSvg(null);
+  }
+
+  useEffect(() => {
+    if (!cardId) return;
+    let cancelled = false;
+
+    renderCardQrSvg(cardId)
+      .then((markup) => {
+        if (!cancelled) setSvg(markup);
+      })
+      .catch((err) => console.error('Error generating card QR:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [cardId]);
+
+  if (!cardId) return null;
+
+  return (
+    <div className="card-qr">
+      <div
+        className={`card-qr-code ${svg ? '' : 'loading'}`}
+        style={{ width: size, height: size }}
+        dangerouslySetInnerHTML={svg ? { __html: svg } : undefined}
+      />
+      <span className="card-qr-id">#{String(cardId).slice(-6)}</span>
+      {showLink && (
+        <Link to={getCardVerifyPath(cardId)} className="card-qr-link">
+          Ver página del cartón
+        </Link>
+      )}
+    </div>
+  );
+}
+
+export default CardQrCode;
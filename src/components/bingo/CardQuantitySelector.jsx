@@ -2,6 +2,7 @@ import { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { GlowButton, GlassCard } from '../ui';
 import { config } from '../../config';
+import { formatHoldTime } from '../../utils/cardReservation';
 import './CardQuantitySelector.css';
 
 function CardQuantitySelector({
@@ -11,11 +12,15 @@ function CardQuantitySelector({
   purchasedCards = [],
   onClearPurchased,
   disabled = false,
+  pricePerCard = config.cardPrice, // Price of the selected room
+  availableCount = 0, // Unsold cards in the room (0 when unknown)
+  heldCount = 0, // Cards held for this purchase while the wallet signs
+  holdSecondsLeft = 0,
 }) {
   const [quantity, setQuantity] = useState(1);
   const fibonacciQuantities = config.fibonacciQuantities;
-  const pricePerCard = config.cardPrice;
   const totalPrice = quantity * pricePerCard;
+  const exceedsAvailable = (num) => availableCount > 0 && num > availableCount;
 
   const handleSelectQuantity = (num) => {
     setQuantity(num);
@@ -127,6 +132,8 @@ function CardQuantitySelector({
                   key={num}
                   className={`fibonacci-btn ${quantity === num ? 'active' : ''}`}
                   onClick={() => handleSelectQuantity(num)}
+                  disabled={exceedsAvailable(num)}
+                  title={exceedsAvailable(num) ? `Solo quedan ${availableCount} cartones` : undefined}
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
                   initial={{ opacity: 0, y: 20 }}
@@ -138,6 +145,12 @@ function CardQuantitySelector({
                 </motion.button>
               ))}
             </div>
+
+            {availableCount > 0 && availableCount < fibonacciQuantities[fibonacciQuantities.length - 1] && (
+              <p className="available-note">
+                Solo quedan {availableCount} cartón{availableCount === 1 ? '' : 'es'} disponible{availableCount === 1 ? '' : 's'}
+              </p>
+            )}
           </div>
 
           {/* Price display */}
@@ -160,12 +173,27 @@ function CardQuantitySelector({
             </motion.div>
           </div>
 
+          {/* Cards held while the wallet signs the payment */}
+          <AnimatePresence>
+            {heldCount > 0 && (
+              <motion.div
+                className={`hold-countdown ${holdSecondsLeft <= 30 ? 'urgent' : ''}`}
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: 'auto' }}
+                exit={{ opacity: 0, height: 0 }}
+              >
+                <span>🔒 {heldCount} cartón{heldCount === 1 ? '' : 'es'} reservado{heldCount === 1 ? '' : 's'} para ti</span>
+                <span className="hold-time">Firma el pago en {formatHoldTime(holdSecondsLeft)}</span>
+              </motion.div>
+            )}
+          </AnimatePresence>
+
           {/* Purchase button */}
           <GlowButton
             onClick={() => onPurchase(quantity)}
             size="xl"
             loading={purchasing}
-            disabled={disabled || !isLoggedIn || purchasing}
+            disabled={disabled || !isLoggedIn || purchasing || exceedsAvailable(quantity)}
             fullWidth
           >
             {disabled ? 'Compras bloqueadas' : purchasing ? 'Procesando...' : isLoggedIn ? 'Comprar cartones' : 'Iniciar sesion para comprar'}
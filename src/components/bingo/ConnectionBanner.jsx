@@ -0,0 +1,59 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { useSocket } from '../../context/SocketContext';
+import './ConnectionBanner.css';
+
+// Connection / sync notice shown above the board
+function ConnectionBanner() {
+  const { isConnected, syncStatus, socketError, reconnectFailed } = useSocket();
+
+  let notice = null;
+  if (!isConnected) {
+    notice = {
+      type: 'offline',
+      icon: '📡',
+      text: reconnectFailed ? 'No se pudo reconectar con el servidor.' : 'Sin conexión. Reconectando...',
+      detail: socketError?.type === 'connect' ? socketError.message : null,
+    };
+  } else if (syncStatus === 'resyncing') {
+    notice = {
+      type: 'resyncing',
+      icon: '🔄',
+      text: 'Resincronizando el tablero...',
+      detail: null,
+    };
+  } else if (socketError?.type === 'server') {
+    notice = {
+      type: 'error',
+      icon: '⚠️',
+      text: socketError.message,
+      detail: null,
+    };
+  }
+
+  return (
+    <AnimatePresence>
+      {notice && (
+        <motion.div
+          key={notice.type}
+          className={`connection-banner ${notice.type}`}
+          role="status"
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: -10 }}
+        >
+          <motion.span
+            className="connection-banner-icon"
+            animate={notice.type === 'resyncing' ? { rotate: 360 } : {}}
+            transition={notice.type === 'resyncing' ? { duration: 1, repeat: Infinity, ease: 'linear' } : {}}
+          >
+            {notice.icon}
+          </motion.span>
+          <span className="connection-banner-text">{notice.text}</span>
+          {notice.detail && <span className="connection-banner-detail">{notice.detail}</span>}
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default ConnectionBanner;
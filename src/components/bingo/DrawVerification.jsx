@@ -0,0 +1,100 @@
+import { useState, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { GlassCard } from '../ui';
+import { verifyDraw } from '../../utils/drawSeed';
+import './DrawVerification.css';
+
+// Shorten a hash for display (0x1234abcd…ef56)
+function shortHash(hash) {
+  return hash ? `${hash.slice(0, 10)}…${hash.slice(-6)}` : '';
+}
+
+function DrawVerification({ draw, calledNumbers = [], status, totalNumbers = 75 }) {
+  const [result, setResult] = useState(null);
+  const [verifiedSeed, setVerifiedSeed] = useState(null);
+
+  // A new seed (next game) invalidates the previous result
+  if (result && verifiedSeed !== draw?.seed) {
+    setResult(null);
+    setVerifiedSeed(null);
+  }
+
+  const handleVerify = useCallback(() => {
+    setResult(verifyDraw({
+      seed: draw.seed,
+      commitment: draw.commitment,
+      calledNumbers,
+      totalNumbers,
+    }));
+    setVerifiedSeed(draw.seed);
+  }, [draw, calledNumbers, totalNumbers]);
+
+  if (!draw?.commitment) return null;
+
+  const canVerify = status === 'ended' && !!draw.seed;
+  const mismatches = result ? result.results.filter((r) => !r.matches) : [];
+
+  return (
+    <GlassCard className="draw-verification">
+      <div className="draw-verification-header">
+        <span className="draw-verification-icon">🔐</span>
+        <div>
+          <h3>Sorteo verificable</h3>
+          <p className="draw-commitment" title={draw.commitment}>
+            Compromiso: <code>{shortHash(draw.commitment)}</code>
+          </p>
+        </div>
+      </div>
+
+      {!canVerify ? (
+        <p className="draw-verification-note">
+          El hash de la semilla se publicó antes de la primera bola. Al terminar el juego se revela la semilla
+          para que puedas comprobar el orden de los números.
+        </p>
+      ) : (
+        <>
+          <p className="draw-seed" title={draw.seed}>
+            Semilla revelada: <code>{shortHash(draw.seed)}</code>
+          </p>
+          <motion.button
+            className="verify-draw-btn"
+            onClick={handleVerify}
+            whileHover={{ scale: 1.03 }}
+            whileTap={{ scale: 0.97 }}
+          >
+            Verificar este juego
+          </motion.button>
+        </>
+      )}
+
+      <AnimatePresence>
+        {result && (
+          <motion.div
+            className={`draw-verification-result ${result.allMatch ? 'valid' : 'invalid'}`}
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+          >
+            <p className="verification-check">
+              {result.commitmentValid ? '✅' : '❌'} La semilla {result.commitmentValid ? 'coincide' : 'no coincide'} con el compromiso
+            </p>
+            <p className="verification-check">
+              {mismatches.length === 0 ? '✅' : '❌'} {result.results.length - mismatches.length}/{result.results.length} números en el orden esperado
+            </p>
+            {mismatches.length > 0 && (
+              <ul className="verification-mismatches">
+                {mismatches.map((r) => (
+                  <li key={r.number}>
+                    Se cantó {r.number}, se esperaba {r.expected ?? '—'}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </GlassCard>
+  );
+}
+
+export default DrawVerification;
@@ -1,151 +1,14 @@
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { GlassCard } from '../ui';
-import { config } from '../../config';
+import MiniCard from './MiniCard';
 import './GameModeSelector.css';
 
-// Patrones ULTRA visuales (5x5 grid, true = casilla requerida)
-const PATTERN_VISUALS = {
-  fullCard: {
-    grid: [
-      [1,1,1,1,1],
-      [1,1,1,1,1],
-      [1,1,0,1,1], // Centro es FREE
-      [1,1,1,1,1],
-      [1,1,1,1,1],
-    ],
-  },
-  letterU: {
-    grid: [
-      [1,0,0,0,1],
-      [1,0,0,0,1],
-      [1,0,0,0,1],
-      [1,0,0,0,1],
-      [1,1,1,1,1],
-    ],
-  },
-  letterL: {
-    grid: [
-      [1,0,0,0,0],
-      [1,0,0,0,0],
-      [1,0,0,0,0],
-      [1,0,0,0,0],
-      [1,1,1,1,1],
-    ],
-  },
-  letterT: {
-    grid: [
-      [1,1,1,1,1],
-      [0,0,1,0,0],
-      [0,0,1,0,0],
-      [0,0,1,0,0],
-      [0,0,1,0,0],
-    ],
-  },
-  letterR: {
-    grid: [
-      [1,1,1,1,0],
-      [1,0,0,1,0],
-      [1,1,1,1,0],
-      [1,0,1,0,0],
-      [1,0,0,1,0],
-    ],
-  },
-  letterA: {
-    grid: [
-      [0,1,1,1,0],
-      [1,0,0,0,1],
-      [1,1,1,1,1],
-      [1,0,0,0,1],
-      [1,0,0,0,1],
-    ],
-  },
-  line: {
-    grid: [
-      [1,0,0,0,0],
-      [0,1,0,0,0],
-      [0,0,1,0,0],
-      [0,0,0,1,0],
-      [0,0,0,0,1],
-    ],
-  },
-  corners: {
-    grid: [
-      [1,0,0,0,1],
-      [0,0,0,0,0],
-      [0,0,0,0,0],
-      [0,0,0,0,0],
-      [1,0,0,0,1],
-    ],
-  },
-};
-
-function MiniCard({ pattern, isActive, onClick, disabled }) {
-  const grid = PATTERN_VISUALS[pattern.key]?.grid || PATTERN_VISUALS.fullCard.grid;
-
-  return (
-    <motion.div
-      className={`gm-card-wrapper ${isActive ? 'active' : ''} ${disabled ? 'disabled' : ''}`}
-      onClick={disabled ? undefined : onClick}
-      whileHover={disabled ? {} : { scale: 1.05 }}
-      whileTap={disabled ? {} : { scale: 0.95 }}
-    >
-      <div className="gm-card">
-        <div className="gm-card-header">
-          <span>B</span><span>I</span><span>N</span><span>G</span><span>O</span>
-        </div>
-        <div className="gm-card-grid">
-          {grid.map((row, rowIndex) => (
-            <div key={rowIndex} className="gm-card-row">
-              {row.map((cell, colIndex) => (
-                <div
-                  key={colIndex}
-                  className={`gm-card-cell ${cell ? 'highlighted' : ''} ${rowIndex === 2 && colIndex === 2 ? 'free' : ''}`}
-                />
-              ))}
-            </div>
-          ))}
-        </div>
-      </div>
-      <div className="gm-card-info">
-        <span className="gm-card-name">{pattern.name}</span>
-      </div>
-      {isActive && (
-        <motion.div
-          className="gm-active-indicator"
-          layoutId="activeMode"
-          initial={false}
-          transition={{ type: 'spring', stiffness: 500, damping: 30 }}
-        />
-      )}
-    </motion.div>
-  );
-}
-
-function GameModeSelector({ isAdmin, currentMode, gameStatus, onModeChange }) {
+// Modes come from useGameModes() in the page (built-in + custom patterns)
+function GameModeSelector({ isAdmin, currentMode, gameStatus, onModeChange, modes = [], loading = false }) {
   const [isExpanded, setIsExpanded] = useState(false);
-  const [modes, setModes] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [changing, setChanging] = useState(false);
 
-  // Fetch available modes
-  useEffect(() => {
-    async function fetchModes() {
-      try {
-        const response = await fetch(`${config.apiUrl}/api/game/modes`);
-        if (response.ok) {
-          const data = await response.json();
-          setModes(data.modes);
-        }
-      } catch (err) {
-        console.error('Error fetching game modes:', err);
-      } finally {
-        setLoading(false);
-      }
-    }
-    fetchModes();
-  }, []);
-
   const canChangeMode = isAdmin && (gameStatus === 'waiting' || gameStatus === 'ended');
   const currentModeInfo = modes.find(m => m.key === currentMode) || { name: 'Cargando...', description: '' };
 
@@ -0,0 +1,46 @@
+import { motion } from 'framer-motion';
+import { getStageStatus } from '../../utils/gameStages';
+import './GameStages.css';
+
+const STAGE_ICONS = {
+  won: '🏆',
+  active: '🎯',
+  pending: '⏳',
+};
+
+// Multi-stage game progress: every prize in order with its winners
+function GameStages({ stages = [], currentStage = 0 }) {
+  if (stages.length < 2) return null;
+
+  return (
+    <ol className="game-stages">
+      {stages.map((stage, index) => {
+        const stageStatus = getStageStatus(index, currentStage, stage);
+        return (
+          <motion.li
+            key={`${stage.gameMode}-${index}`}
+            className={`game-stage ${stageStatus}`}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: index * 0.05 }}
+          >
+            <span className="game-stage-icon">{STAGE_ICONS[stageStatus]}</span>
+            <div className="game-stage-info">
+              <span className="game-stage-step">Etapa {index + 1}</span>
+              <span className="game-stage-name">{stage.name}</span>
+              {stage.winners.length > 0 ? (
+                <span className="game-stage-winners">
+                  {stage.winners.map((w) => `@${w.odUsername || w.username || 'Anónimo'}`).join(', ')}
+                </span>
+              ) : stageStatus === 'active' && (
+                <span className="game-stage-playing">En juego</span>
+              )}
+            </div>
+          </motion.li>
+        );
+      })}
+    </ol>
+  );
+}
+
+export default GameStages;
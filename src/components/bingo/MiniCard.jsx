@@ -0,0 +1,52 @@
+import { motion } from 'framer-motion';
+import { getPatternGrid } from '../../utils/bingoPatterns';
+import './MiniCard.css';
+
+// 5x5 preview of a pattern - `pattern.grid` overrides the registered grid (designer preview)
+function MiniCard({ pattern, isActive, onClick, disabled }) {
+  const grid = pattern.grid || getPatternGrid(pattern.key);
+  // 90/30-ball ticket modes preview as 3x9 / 3x3 without the BINGO header
+  const isBingoGrid = grid.length === 5 && grid[0]?.length === 5;
+
+  return (
+    <motion.div
+      className={`gm-card-wrapper ${isActive ? 'active' : ''} ${disabled ? 'disabled' : ''}`}
+      onClick={disabled ? undefined : onClick}
+      whileHover={disabled ? {} : { scale: 1.05 }}
+      whileTap={disabled ? {} : { scale: 0.95 }}
+    >
+      <div className={`gm-card ${isBingoGrid ? '' : 'ticket'}`}>
+        {isBingoGrid && (
+          <div className="gm-card-header">
+            <span>B</span><span>I</span><span>N</span><span>G</span><span>O</span>
+          </div>
+        )}
+        <div className="gm-card-grid">
+          {grid.map((row, rowIndex) => (
+            <div key={rowIndex} className="gm-card-row">
+              {row.map((cell, colIndex) => (
+                <div
+                  key={colIndex}
+                  className={`gm-card-cell ${cell ? 'highlighted' : ''} ${isBingoGrid && rowIndex === 2 && colIndex === 2 ? 'free' : ''}`}
+                />
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="gm-card-info">
+        <span className="gm-card-name">{pattern.name}</span>
+      </div>
+      {isActive && (
+        <motion.div
+          className="gm-active-indicator"
+          layoutId="activeMode"
+          initial={false}
+          transition={{ type: 'spring', stiffness: 500, damping: 30 }}
+        />
+      )}
+    </motion.div>
+  );
+}
+
+export default MiniCard;
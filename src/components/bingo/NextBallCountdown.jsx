@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import './NextBallCountdown.css';
+
+// Seconds left until a timestamp (never negative)
+function secondsUntil(timestamp) {
+  return Math.max(0, Math.ceil((timestamp - Date.now()) / 1000));
+}
+
+function NextBallCountdown({ nextCallAt, intervalSeconds, label = 'Próxima bola en' }) {
+  const [secondsLeft, setSecondsLeft] = useState(() => secondsUntil(nextCallAt));
+
+  // Tick locally; the schedule itself comes from the auto-call event
+  useEffect(() => {
+    const update = () => setSecondsLeft(secondsUntil(nextCallAt));
+    update();
+    const timer = setInterval(update, 250);
+    return () => clearInterval(timer);
+  }, [nextCallAt]);
+
+  const progress = intervalSeconds ? Math.min(1, secondsLeft / intervalSeconds) : 0;
+
+  return (
+    <div className="next-ball-countdown">
+      <span className="countdown-label">{label}</span>
+      <motion.span
+        key={secondsLeft}
+        className="countdown-value"
+        initial={{ scale: 1.3, opacity: 0.6 }}
+        animate={{ scale: 1, opacity: 1 }}
+      >
+        {secondsLeft}s
+      </motion.span>
+      <div className="countdown-bar">
+        <div className="countdown-bar-fill" style={{ transform: `scaleX(${progress})` }} />
+      </div>
+    </div>
+  );
+}
+
+export default NextBallCountdown;
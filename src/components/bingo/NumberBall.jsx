@@ -1,14 +1,12 @@
 import { motion } from 'framer-motion';
+import { COLUMNS } from '../../utils/bingoPatterns';
+import { getVariant, getColumnIndex } from '../../utils/bingoVariants';
 import './NumberBall.css';
 
-// Get the letter for a bingo number
-function getLetterForNumber(number) {
-  if (number >= 1 && number <= 15) return 'B';
-  if (number >= 16 && number <= 30) return 'I';
-  if (number >= 31 && number <= 45) return 'N';
-  if (number >= 46 && number <= 60) return 'G';
-  if (number >= 61 && number <= 75) return 'O';
-  return '';
+// Get the color column for a bingo number - 90/30-ball columns cycle through the five colors
+function getColorKeyForNumber(number, variant) {
+  const index = getColumnIndex(number, variant);
+  return index >= 0 ? COLUMNS[index % COLUMNS.length] : '';
 }
 
 // Get color based on column letter - Christmas Winter Theme
@@ -57,9 +55,13 @@ function NumberBall({
   called = false,
   index = 0,
   current = false,
+  variant: variantKey,
 }) {
-  const letter = getLetterForNumber(number);
-  const colors = getColumnColor(letter);
+  const variant = getVariant(variantKey);
+  const colorKey = getColorKeyForNumber(number, variant);
+  // Only 75-ball calls carry the B-I-N-G-O letter
+  const letter = variant.key === 'us75' ? colorKey : '';
+  const colors = getColumnColor(colorKey);
 
   const sizeClasses = {
     small: 'small',
@@ -71,7 +73,7 @@ function NumberBall({
   return (
     <motion.div
       className={`number-ball ${sizeClasses[size]} ${called ? 'called' : ''} ${current ? 'current' : ''} ${colors.textDark ? 'text-dark' : ''}`}
-      data-letter={letter}
+      data-letter={colorKey}
       initial={animate ? { scale: 0, rotate: -180, opacity: 0 } : false}
       animate={animate ? {
         scale: 1,
@@ -101,14 +103,16 @@ function NumberBall({
       <div className="ball-shine" />
 
       <div className="ball-inner">
-        <motion.span
-          className="ball-letter"
-          initial={animate ? { y: -10, opacity: 0 } : false}
-          animate={animate ? { y: 0, opacity: 0.9 } : {}}
-          transition={{ delay: 0.2 + index * 0.05 }}
-        >
-          {letter}
-        </motion.span>
+        {letter && (
+          <motion.span
+            className="ball-letter"
+            initial={animate ? { y: -10, opacity: 0 } : false}
+            animate={animate ? { y: 0, opacity: 0.9 } : {}}
+            transition={{ delay: 0.2 + index * 0.05 }}
+          >
+            {letter}
+          </motion.span>
+        )}
         <motion.span
           className="ball-number"
           initial={animate ? { scale: 0 } : false}
@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import MiniCard from './MiniCard';
+import { COLUMNS, createEmptyGrid, isCenterCell, togglePatternCell, countPatternCells, validateCustomPattern } from '../../utils/bingoPatterns';
+import './PatternDesigner.css';
+
+// Admin editor for custom patterns: click cells to toggle, name it and save
+function PatternDesigner({ customPatterns = [], onSave, onDelete }) {
+  const [name, setName] = useState('');
+  const [grid, setGrid] = useState(createEmptyGrid);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const cellCount = countPatternCells(grid);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validateCustomPattern({ name, grid });
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      await onSave({ name: name.trim(), grid });
+      setName('');
+      setGrid(createEmptyGrid());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (pattern) => {
+    if (!window.confirm(`¿Eliminar el patrón "${pattern.name}"?`)) return;
+    try {
+      await onDelete(pattern.key);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="pattern-designer">
+      <form className="pattern-designer-form" onSubmit={handleSubmit}>
+        <div className="pattern-designer-editor">
+          <div className="pattern-designer-header">
+            {COLUMNS.map((letter) => <span key={letter}>{letter}</span>)}
+          </div>
+          <div className="pattern-designer-grid">
+            {grid.map((cells, row) => cells.map((cell, col) => (
+              <button
+                key={`${row}-${col}`}
+                type="button"
+                className={`pattern-designer-cell ${cell ? 'on' : ''} ${isCenterCell(row, col) ? 'free' : ''}`}
+                onClick={() => setGrid((prev) => togglePatternCell(prev, row, col))}
+                disabled={isCenterCell(row, col)}
+                aria-pressed={!!cell}
+                aria-label={`${COLUMNS[col]}${row + 1}`}
+              >
+                {isCenterCell(row, col) ? 'FREE' : ''}
+              </button>
+            )))}
+          </div>
+          <span className="pattern-designer-count">
+            {cellCount} casilla{cellCount === 1 ? '' : 's'}
+          </span>
+        </div>
+
+        <div className="pattern-designer-side">
+          <label>
+            Nombre
+            <input
+              type="text"
+              className="input"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Árbol de Navidad"
+              maxLength={40}
+            />
+          </label>
+          <div className="pattern-designer-preview">
+            <MiniCard pattern={{ key: 'preview', name: name.trim() || 'Vista previa', grid }} disabled />
+          </div>
+          <div className="pattern-designer-actions">
+            <button type="button" className="btn-control" onClick={() => setGrid(createEmptyGrid())} disabled={cellCount === 0}>
+              Limpiar
+            </button>
+            <button type="submit" className="btn-primary btn-control" disabled={saving}>
+              {saving ? 'Guardando...' : 'Guardar patrón'}
+            </button>
+          </div>
+          {error && <p className="pattern-designer-error">{error}</p>}
+        </div>
+      </form>
+
+      {customPatterns.length > 0 && (
+        <div className="pattern-designer-saved">
+          {customPatterns.map((pattern) => (
+            <div key={pattern.key} className="pattern-designer-saved-item">
+              <MiniCard pattern={pattern} disabled />
+              <button type="button" className="btn-control btn-danger" onClick={() => handleDelete(pattern)}>
+                Eliminar
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PatternDesigner;
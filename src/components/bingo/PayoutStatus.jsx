@@ -0,0 +1,31 @@
+import { PAYOUT_STATUS_LABELS, formatUsdc, getTxExplorerUrl } from '../../utils/prizePool';
+import './PayoutStatus.css';
+
+// Payout of a verified winner: amount, status and transaction link
+function PayoutStatus({ payout, compact = false }) {
+  if (!payout) return null;
+
+  const status = payout.status || 'pending';
+  const txUrl = getTxExplorerUrl(payout.txHash, payout.network);
+  const shortHash = payout.txHash ? `${payout.txHash.slice(0, 10)}…${payout.txHash.slice(-6)}` : null;
+
+  return (
+    <div className={`payout-status ${status} ${compact ? 'compact' : ''}`}>
+      {payout.amount != null && (
+        <span className="payout-amount">{formatUsdc(payout.amount)} USDC</span>
+      )}
+      <span className="payout-badge">{PAYOUT_STATUS_LABELS[status] || status}</span>
+      {shortHash && (
+        txUrl ? (
+          <a className="payout-tx" href={txUrl} target="_blank" rel="noopener noreferrer" title={payout.txHash}>
+            {shortHash}
+          </a>
+        ) : (
+          <span className="payout-tx" title={payout.txHash}>{shortHash}</span>
+        )
+      )}
+    </div>
+  );
+}
+
+export default PayoutStatus;
@@ -0,0 +1,28 @@
+import { motion } from 'framer-motion';
+import { formatUsdc } from '../../utils/prizePool';
+import './PrizePool.css';
+
+// Live prize pool: net amount for the winner plus how it was computed
+function PrizePool({ pool, label = 'Bote en juego' }) {
+  if (!pool) return null;
+
+  return (
+    <div className="prize-pool">
+      <span className="prize-pool-label">🏆 {label}</span>
+      <motion.span
+        key={pool.net}
+        className="prize-pool-amount"
+        initial={{ scale: 1.2, color: '#fff' }}
+        animate={{ scale: 1, color: '#ffd700' }}
+      >
+        {formatUsdc(pool.net)} <small>USDC</small>
+      </motion.span>
+      <span className="prize-pool-detail">
+        {pool.cardsSold} cartón{pool.cardsSold === 1 ? '' : 'es'} vendido{pool.cardsSold === 1 ? '' : 's'}
+        {pool.houseFeePercent > 0 && ` · ${pool.houseFeePercent}% casa`}
+      </span>
+    </div>
+  );
+}
+
+export default PrizePool;
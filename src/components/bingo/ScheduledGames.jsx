@@ -0,0 +1,111 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useSchedule, useNow } from '../../hooks';
+import { getPatternName } from '../../utils/bingoPatterns';
+import { buildIcsEvent, downloadIcs, formatCountdown } from '../../utils/calendar';
+import { config } from '../../config';
+import './ScheduledGames.css';
+
+// A game stays listed as "starting" for a short while after its start time
+const START_GRACE_MS = 60000;
+
+function getGameTitle(game) {
+  return game.title || `Ultra Bingo - ${getPatternName(game.gameMode) || 'Partida'}`;
+}
+
+function ScheduledGames({ roomId = null, onGameStart, title = 'Próximas partidas' }) {
+  const { games } = useSchedule({ roomId });
+  const now = useNow(1000, games.length > 0);
+  const startedRef = useRef(new Set());
+
+  const upcoming = games
+    .filter((game) => new Date(game.startsAt).getTime() > now - START_GRACE_MS)
+    .slice(0, config.schedule.maxListed);
+
+  // Notify once per game when its countdown reaches zero
+  useEffect(() => {
+    if (!onGameStart) return;
+    games.forEach((game) => {
+      const startsAt = new Date(game.startsAt).getTime();
+      if (startsAt <= now && now - startsAt < START_GRACE_MS && !startedRef.current.has(game.id)) {
+        startedRef.current.add(game.id);
+        onGameStart(game);
+      }
+    });
+  }, [now, games, onGameStart]);
+
+  const handleAddToCalendar = useCallback((game) => {
+    const roomPath = `/bingo-live/${game.roomId || config.defaultRoomId}`;
+    const details = [
+      `Modo: ${getPatternName(game.gameMode) || game.gameMode || 'Bingo'}`,
+      game.cardPrice != null ? `Precio por cartón: $${game.cardPrice} USDC` : null,
+    ].filter(Boolean).join('\n');
+
+    downloadIcs(
+      `ultra-bingo-${game.id}`,
+      buildIcsEvent({
+        uid: `${game.id}@ultra-bingo`,
+        title: getGameTitle(game),
+        start: game.startsAt,
+        durationMinutes: config.schedule.defaultDurationMinutes,
+        description: details,
+        url: `${window.location.origin}${roomPath}`,
+      })
+    );
+  }, []);
+
+  if (upcoming.length === 0) return null;
+
+  return (
+    <div className="scheduled-games">
+      <div className="scheduled-games-header">
+        <span className="scheduled-games-icon">🗓️</span>
+        <h3>{title}</h3>
+      </div>
+
+      <AnimatePresence initial={false}>
+        {upcoming.map((game) => {
+          const msLeft = new Date(game.startsAt).getTime() - now;
+          const isStarting = msLeft <= 0;
+
+          return (
+            <motion.div
+              key={game.id}
+              className={`scheduled-game ${isStarting ? 'starting' : ''}`}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, height: 0 }}
+            >
+              <div className="scheduled-game-info">
+                <span className="scheduled-game-title">{getGameTitle(game)}</span>
+                <span className="scheduled-game-meta">
+                  {new Date(game.startsAt).toLocaleString('es-ES', { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                  {game.cardPrice != null && ` · $${game.cardPrice} por cartón`}
+                  {!roomId && game.roomId && ` · Sala ${game.roomId}`}
+                </span>
+              </div>
+
+              <div className="scheduled-game-countdown">
+                {isStarting ? '¡Empieza ahora!' : formatCountdown(msLeft)}
+              </div>
+
+              <div className="scheduled-game-actions">
+                <button className="calendar-btn" onClick={() => handleAddToCalendar(game)}>
+                  Añadir al calendario
+                </button>
+                {isStarting && (
+                  <Link to={`/bingo-live/${game.roomId || config.defaultRoomId}`} className="scheduled-live-link">
+                    Ir al bingo
+                  </Link>
+                )}
+              </div>
+            </motion.div>
+          );
+        })}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default ScheduledGames;
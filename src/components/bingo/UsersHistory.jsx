@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { config } from '../../config';
+import { getUsers } from '../../services/api';
 import './UsersHistory.css';
 
 function UsersHistory({ token }) {
@@ -20,25 +20,11 @@ function UsersHistory({ token }) {
 
     try {
       setLoading(true);
-      const response = await fetch(`${config.apiUrl}/api/admin/users?limit=50`, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
-
-      if (!response.ok) {
-        if (response.status === 403) {
-          throw new Error('No autorizado');
-        }
-        throw new Error('Error al cargar usuarios');
-      }
-
-      const data = await response.json();
-      setUsers(data.users || []);
+      setUsers(await getUsers({ limit: 50 }));
       setError(null);
     } catch (err) {
       console.error('Error fetching users:', err);
-      setError(err.message);
+      setError(err.status === 403 ? 'No autorizado' : err.message);
     } finally {
       setLoading(false);
     }
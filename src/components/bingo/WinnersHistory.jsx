@@ -1,6 +1,10 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import { config } from '../../config';
+import { getWinners } from '../../services/api';
+import { getPatternName } from '../../utils/bingoPatterns';
+import { groupWinnersByGame } from '../../utils/winners';
+import PayoutStatus from './PayoutStatus';
 import './WinnersHistory.css';
 
 function WinnersHistory() {
@@ -19,11 +23,7 @@ function WinnersHistory() {
 
   const fetchWinners = async () => {
     try {
-      const response = await fetch(`${config.apiUrl}/api/game/winners?limit=10`);
-      if (!response.ok) throw new Error('Failed to fetch winners');
-
-      const data = await response.json();
-      setWinners(data.winners || []);
+      setWinners(await getWinners({ limit: 10 }));
       setError(null);
     } catch (err) {
       console.error('Error fetching winners:', err);
@@ -57,18 +57,8 @@ function WinnersHistory() {
   };
 
   // Get pattern display name
-  const getPatternName = (patternName, gameMode) => {
-    const names = {
-      fullCard: 'Cartón Completo',
-      letterU: 'Letra U',
-      letterL: 'Letra L',
-      letterT: 'Letra T',
-      letterR: 'Letra R',
-      letterA: 'Letra A',
-      line: 'Línea',
-      corners: '4 Esquinas',
-    };
-    return names[patternName] || names[gameMode] || patternName || 'Bingo';
+  const formatPatternName = (patternName, gameMode) => {
+    return getPatternName(patternName) || getPatternName(gameMode) || patternName || 'Bingo';
   };
 
   if (loading) {
@@ -116,27 +106,44 @@ function WinnersHistory() {
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
           >
-            {winners.map((winner, index) => (
-              <motion.div
-                key={winner.winnerId}
-                className={`winner-item ${index === 0 ? 'latest' : ''}`}
-                initial={{ opacity: 0, x: -20 }}
-                animate={{ opacity: 1, x: 0 }}
-                transition={{ delay: index * 0.1 }}
-              >
-                <div className="winner-rank">
-                  {index === 0 ? '👑' : `#${index + 1}`}
-                </div>
-                <div className="winner-info">
-                  <span className="winner-username">@{winner.odUsername}</span>
-                  <span className="winner-wallet">{formatWallet(winner.wallet)}</span>
-                </div>
-                <div className="winner-details">
-                  <span className="winner-pattern">{getPatternName(winner.patternName, winner.gameMode)}</span>
-                  <span className="winner-time">{formatDate(winner.wonAt)}</span>
-                </div>
-              </motion.div>
-            ))}
+            {/* Co-winners of the same game are shown together */}
+            {groupWinnersByGame(winners).map(({ key, winners: gameWinners }, index) => {
+              const winner = gameWinners[0];
+              return (
+                <motion.div
+                  key={key}
+                  className={`winner-item ${index === 0 ? 'latest' : ''} ${gameWinners.length > 1 ? 'shared' : ''}`}
+                  initial={{ opacity: 0, x: -20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  transition={{ delay: index * 0.1 }}
+                >
+                  <div className="winner-rank">
+                    {index === 0 ? '👑' : `#${index + 1}`}
+                  </div>
+                  <div className="winner-info">
+                    {gameWinners.map((w) => (
+                      <div key={w.winnerId} className="winner-info-entry">
+                        <span className="winner-username">@{w.odUsername}</span>
+                        <span className="winner-wallet">{formatWallet(w.wallet)}</span>
+                        {w.payout && <PayoutStatus payout={w.payout} compact />}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="winner-details">
+                    <span className="winner-pattern">{formatPatternName(winner.patternName, winner.gameMode)}</span>
+                    {gameWinners.length > 1 && (
+                      <span className="winner-shared-tag">Bote compartido ÷{gameWinners.length}</span>
+                    )}
+                    <span className="winner-time">{formatDate(winner.wonAt)}</span>
+                    {winner.gameId && (
+                      <Link to={`/partidas/${winner.gameId}`} className="winner-replay-link">
+                        Ver repetición
+                      </Link>
+                    )}
+                  </div>
+                </motion.div>
+              );
+            })}
           </motion.div>
         )}
       </AnimatePresence>
@@ -2,5 +2,16 @@ export { default as BingoCard } from './BingoCard';
 export { default as NumberBall } from './NumberBall';
 export { default as CardQuantitySelector } from './CardQuantitySelector';
 export { default as GameModeSelector } from './GameModeSelector';
+export { default as MiniCard } from './MiniCard';
 export { default as WinnersHistory } from './WinnersHistory';
 export { default as UsersHistory } from './UsersHistory';
+export { default as NextBallCountdown } from './NextBallCountdown';
+export { default as DrawVerification } from './DrawVerification';
+export { default as ConnectionBanner } from './ConnectionBanner';
+export { default as ScheduledGames } from './ScheduledGames';
+export { default as PrizePool } from './PrizePool';
+export { default as PayoutStatus } from './PayoutStatus';
+export { default as GameStages } from './GameStages';
+export { default as PatternDesigner } from './PatternDesigner';
+export { default as CardQrCode } from './CardQrCode';
+export { default as CardPicker } from './CardPicker';
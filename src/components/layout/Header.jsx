@@ -9,10 +9,11 @@ function Header() {
   const { user, isLoggedIn, isConnected, walletAddress, openLoginModal, disconnect } = useAuth();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
 
-  const isActive = (path) => location.pathname === path;
+  const isActive = (path) => location.pathname === path || (path !== '/' && location.pathname.startsWith(`${path}/`));
 
   const navItems = [
     { path: '/', label: 'Comprar Boletos', icon: '🎁' },
+    { path: '/salas', label: 'Salas', icon: '🎱' },
     { path: '/bingo-live', label: 'Bingo Live', icon: '🎄' },
     { path: '/mis-cartones', label: 'Mis Cartones', icon: '⭐' },
   ];
@@ -6,7 +6,9 @@ import './LoginModal.css';
 
 function LoginModal() {
   const {
+    user,
     showLoginModal,
+    sessionNotice,
     closeLoginModal,
     isConnected,
     walletAddress,
@@ -15,10 +17,23 @@ function LoginModal() {
   } = useAuth();
 
   const [username, setUsername] = useState('');
-  const [step, setStep] = useState(1); // 1: username, 2: wallet
+  const [step, setStep] = useState(1); // 1: username, 2: wallet (+ signature once connected)
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
 
+  // Expired session: skip straight to signing with the same username
+  const [prevShowLoginModal, setPrevShowLoginModal] = useState(showLoginModal);
+  if (prevShowLoginModal !== showLoginModal) {
+    setPrevShowLoginModal(showLoginModal);
+    if (showLoginModal && sessionNotice && user?.username) {
+      setUsername(user.username);
+      setStep(2);
+    }
+  }
+
+  // Last step: the connected wallet signs the SIWE message
+  const signStep = step === 2 && isConnected;
+
   const handleUsernameSubmit = (e) => {
     e.preventDefault();
     setError('');
@@ -66,7 +81,12 @@ function LoginModal() {
     try {
       await completeLogin(username);
     } catch (err) {
-      setError('Error completando el registro');
+      const errMsg = err.message?.toLowerCase() || '';
+      if (err.name === 'UserRejectedRequestError' || errMsg.includes('rejected') || errMsg.includes('denied')) {
+        setError('Firma rechazada. Necesitamos tu firma para verificar que la wallet es tuya.');
+      } else {
+        setError(err.message || 'Error verificando la firma');
+      }
     }
     setLoading(false);
   };
@@ -118,16 +138,24 @@ function LoginModal() {
                 animate={{ rotate: [0, 10, -10, 0] }}
                 transition={{ duration: 3, repeat: Infinity }}
               >
-                {step === 1 ? '👤' : '🔗'}
+                {step === 1 ? '👤' : signStep ? '✍️' : '🔗'}
               </motion.div>
-              <h2>{step === 1 ? 'Bienvenido a UltraBingo' : 'Conecta tu Wallet'}</h2>
+              <h2>{step === 1 ? 'Bienvenido a UltraBingo' : signStep ? 'Firma para verificar' : 'Conecta tu Wallet'}</h2>
               <p>
                 {step === 1
                   ? 'Ingresa tu nombre de usuario para comenzar'
-                  : 'Conecta tu wallet para completar el registro'}
+                  : signStep
+                    ? 'Firma un mensaje con tu wallet para demostrar que es tuya'
+                    : 'Conecta tu wallet para completar el registro'}
               </p>
             </div>
 
+            {sessionNotice && (
+              <div className="login-session-expired">
+                {sessionNotice}
+              </div>
+            )}
+
             {/* Progress indicator */}
             <div className="login-progress">
               <div className={`progress-step ${step >= 1 ? 'active' : ''}`}>
@@ -145,6 +173,17 @@ function LoginModal() {
                 <span className="step-number">2</span>
                 <span className="step-label">Wallet</span>
               </div>
+              <div className="progress-line">
+                <motion.div
+                  className="progress-fill"
+                  initial={{ scaleX: 0 }}
+                  animate={{ scaleX: signStep ? 1 : 0 }}
+                />
+              </div>
+              <div className={`progress-step ${signStep ? 'active' : ''}`}>
+                <span className="step-number">3</span>
+                <span className="step-label">Firma</span>
+              </div>
             </div>
 
             {/* Error message */}
@@ -261,13 +300,17 @@ function LoginModal() {
                         </div>
                       </div>
 
+                      <p className="sign-hint">
+                        La firma no tiene costo ni mueve fondos: solo demuestra que controlas esta wallet.
+                      </p>
+
                       <GlowButton
                         onClick={handleCompleteLogin}
                         size="lg"
                         className="full-width"
                         loading={loading}
                       >
-                        Completar Registro
+                        {loading ? 'Esperando firma...' : 'Firmar y verificar'}
                       </GlowButton>
                     </div>
                   )}
@@ -7,6 +7,17 @@ export const config = {
   // WebSocket
   wsUrl: import.meta.env.VITE_WS_URL || 'https://ultra-bingo-backend.onrender.com',
 
+  // Calidad de conexión y reconexión (backoff exponencial)
+  connection: {
+    pingIntervalMs: 5000,
+    pingTimeoutMs: 4000,
+    claimAckTimeoutMs: 10000, // Sin confirmación del servidor el reclamo de BINGO se da por fallido
+    degradedLatencyMs: 400, // Por encima se muestra "Conexión lenta"
+    reconnectionAttempts: 10,
+    reconnectionDelayMs: 1000,
+    reconnectionDelayMaxMs: 15000,
+  },
+
   // x402 Configuration - NO HARDCODED FALLBACKS FOR SECURITY
   x402: {
     facilitatorUrl: import.meta.env.VITE_X402_FACILITATOR_URL || 'https://facilitator.ultravioletadao.xyz',
@@ -25,6 +36,7 @@ export const config = {
       name: 'Avalanche C-Chain',
       currency: 'AVAX',
       rpcUrl: 'https://api.avax.network/ext/bc/C/rpc',
+      explorerUrl: 'https://snowtrace.io',
       usdcAddress: '0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E',
     },
     'base': {
@@ -32,6 +44,7 @@ export const config = {
       name: 'Base',
       currency: 'ETH',
       rpcUrl: 'https://mainnet.base.org',
+      explorerUrl: 'https://basescan.org',
       usdcAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
     },
     'polygon': {
@@ -39,6 +52,7 @@ export const config = {
       name: 'Polygon',
       currency: 'MATIC',
       rpcUrl: 'https://polygon-rpc.com',
+      explorerUrl: 'https://polygonscan.com',
       usdcAddress: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359',
     },
     'monad': {
@@ -56,13 +70,35 @@ export const config = {
   // Precio por cartón en USDC (Avalanche Mainnet)
   cardPrice: 5,
 
+  // Bote de premios: cartones vendidos × precio, menos el porcentaje de la casa
+  prizePool: {
+    houseFeePercent: Number(import.meta.env.VITE_HOUSE_FEE_PERCENT ?? 10),
+  },
+
+  // Sala por defecto (cada sala tiene su propio juego, cartones y precio)
+  defaultRoomId: 'main',
+
   // Límites - Solo cantidades Fibonacci permitidas
   maxCardsPerPurchase: 34,
 
   // Cantidades Fibonacci válidas para compra
   fibonacciQuantities: [1, 2, 3, 5, 8, 13, 21, 34],
 
+  // Cantador automático (segundos entre bolas)
+  autoCall: {
+    minIntervalSeconds: 8,
+    maxIntervalSeconds: 30,
+    defaultIntervalSeconds: 12,
+  },
+
+  // Partidas programadas
+  schedule: {
+    defaultDurationMinutes: 60, // Duración estimada para el calendario
+    maxListed: 5,
+  },
+
   // Bingo
+  defaultVariant: 'us75', // us75 (5x5), uk90 (tickets 3x9 en tiras de 6), speed30 (3x3)
   bingoColumns: {
     B: { min: 1, max: 15 },
     I: { min: 16, max: 30 },
@@ -1,32 +1,55 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import { useAccount, useConnect, useDisconnect } from 'wagmi';
+import { useAccount, useConnect, useDisconnect, useSignMessage } from 'wagmi';
 import { injected, coinbaseWallet, walletConnect } from 'wagmi/connectors';
 import { config } from '../config';
+import { buildLoginMessage, getTokenExpiry } from '../utils/siwe';
+import { registerSession, SESSION_MESSAGES } from '../services/apiClient';
+import { getLoginNonce, verifyLogin, refreshSession } from '../services/api';
 
 const AuthContext = createContext(null);
 
+// Per-user preferences, kept with the user data and per wallet so they survive logout
+const DEFAULT_PREFERENCES = {
+  autoDaub: true, // Mark called numbers automatically on the player's cards
+};
+
+const preferencesKey = (wallet) => `ultra-bingo-prefs:${wallet.toLowerCase()}`;
+
+// Preferences saved for a wallet by a previous session
+function loadWalletPreferences(wallet) {
+  if (!wallet) return undefined;
+  try {
+    return JSON.parse(localStorage.getItem(preferencesKey(wallet))) || undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// setTimeout can't wait longer than ~24.8 days; longer sessions are checked on the next load
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// User saved in localStorage - written synchronously on every change, so it is never behind the state
+function loadSavedUser() {
+  const savedUser = localStorage.getItem('ultra-bingo-user');
+  if (!savedUser) return null;
+  try {
+    return JSON.parse(savedUser);
+  } catch {
+    localStorage.removeItem('ultra-bingo-user');
+    return null;
+  }
+}
+
 export function AuthProvider({ children }) {
-  const [user, setUser] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const [user, setUser] = useState(loadSavedUser);
   const [showLoginModal, setShowLoginModal] = useState(false);
+  const [sessionNotice, setSessionNotice] = useState(null); // Why the player has to sign in again
 
   // Wagmi hooks for wallet connection
-  const { address, isConnected } = useAccount();
+  const { address, isConnected, chainId } = useAccount();
   const { connect, connectors } = useConnect();
   const { disconnect: wagmiDisconnect } = useDisconnect();
-
-  // Load user from localStorage on mount
-  useEffect(() => {
-    const savedUser = localStorage.getItem('ultra-bingo-user');
-    if (savedUser) {
-      try {
-        setUser(JSON.parse(savedUser));
-      } catch (e) {
-        localStorage.removeItem('ultra-bingo-user');
-      }
-    }
-    setLoading(false);
-  }, []);
+  const { signMessageAsync } = useSignMessage();
 
   // Sync user state across tabs via storage event
   useEffect(() => {
@@ -49,40 +72,61 @@ export function AuthProvider({ children }) {
     return () => window.removeEventListener('storage', handleStorageChange);
   }, []);
 
-  // Update user wallet when connected
-  useEffect(() => {
-    if (isConnected && address && user && !user.wallet) {
-      const updatedUser = { ...user, wallet: address };
-      setUser(updatedUser);
-      localStorage.setItem('ultra-bingo-user', JSON.stringify(updatedUser));
+  // Exchange the current token for a new one - null when the session can't be renewed
+  const refreshToken = useCallback(async () => {
+    const current = loadSavedUser();
+    if (!current?.token) return null;
 
-      // Register user in backend
-      registerUser(updatedUser);
-    }
-  }, [isConnected, address, user]);
+    const data = await refreshSession(current.token).catch(() => null);
+    if (!data?.token) return null;
 
-  // Register user in backend
-  const registerUser = async (userData) => {
-    try {
-      const response = await fetch(`${config.apiUrl}/api/auth/register`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          username: userData.username,
-          wallet: userData.wallet,
-        }),
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        const updatedUser = { ...userData, id: data.user.id, token: data.token };
-        setUser(updatedUser);
-        localStorage.setItem('ultra-bingo-user', JSON.stringify(updatedUser));
-      }
-    } catch (error) {
-      // Silent fail - user session will be created on next login
+    const refreshedUser = {
+      ...current,
+      token: data.token,
+      tokenExpiresAt: getTokenExpiry(data.token, data.expiresAt),
+    };
+    setUser(refreshedUser);
+    localStorage.setItem('ultra-bingo-user', JSON.stringify(refreshedUser));
+    return data.token;
+  }, []);
+
+  // Log out (keeping username and wallet to sign in again) and re-open the login modal
+  const expireSession = useCallback((message) => {
+    const current = loadSavedUser();
+    if (current) {
+      const expiredUser = { ...current, token: null, tokenExpiresAt: null };
+      setUser(expiredUser);
+      localStorage.setItem('ultra-bingo-user', JSON.stringify(expiredUser));
     }
-  };
+    setSessionNotice(message);
+    setShowLoginModal(true);
+  }, []);
+
+  // Authenticated requests (services/apiClient) use this session
+  useEffect(() => {
+    return registerSession('user', {
+      getToken: () => loadSavedUser()?.token || null,
+      refresh: refreshToken,
+      onExpired: expireSession,
+    });
+  }, [refreshToken, expireSession]);
+
+  // Renew the token when it expires, or ask the player to sign in again
+  useEffect(() => {
+    if (!user?.token) return;
+    const expiresAt = user.tokenExpiresAt ?? getTokenExpiry(user.token);
+    if (!expiresAt) return;
+
+    const delay = expiresAt - Date.now();
+    if (delay > MAX_TIMER_MS) return;
+
+    const timer = setTimeout(async () => {
+      const token = await refreshToken().catch(() => null);
+      if (!token) expireSession(SESSION_MESSAGES.expired);
+    }, Math.max(0, delay));
+
+    return () => clearTimeout(timer);
+  }, [user, refreshToken, expireSession]);
 
   // Open login modal
   const openLoginModal = useCallback(() => {
@@ -92,6 +136,7 @@ export function AuthProvider({ children }) {
   // Close login modal
   const closeLoginModal = useCallback(() => {
     setShowLoginModal(false);
+    setSessionNotice(null);
   }, []);
 
   // Login with username (step 1)
@@ -129,50 +174,41 @@ export function AuthProvider({ children }) {
     }
   }, [connect]);
 
-  // Complete login (username + wallet)
+  // Complete login (username + wallet + SIWE signature)
   const completeLogin = useCallback(async (username) => {
     if (!isConnected || !address) {
       throw new Error('Wallet not connected');
     }
 
+    const trimmedUsername = username.trim();
+
+    // 1. One-time nonce for this wallet
+    const nonce = await getLoginNonce(address);
+
+    // 2. The wallet signs the EIP-4361 message - proves it owns the address
+    const message = buildLoginMessage({ address, chainId, nonce, username: trimmedUsername });
+    const signature = await signMessageAsync({ message });
+
+    // 3. Backend verifies the signature and issues the session token
+    const data = await verifyLogin({ username: trimmedUsername, message, signature });
     const newUser = {
-      id: null,
-      username: username.trim(),
+      id: data.user.id,
+      username: data.user.username || trimmedUsername,
       wallet: address,
-      token: null,
-      isAdmin: false,
+      token: data.token,
+      tokenExpiresAt: getTokenExpiry(data.token, data.expiresAt),
+      isAdmin: data.user.isAdmin || false,
+      // Keep preferences chosen before with this wallet, even across logouts
+      preferences: loadWalletPreferences(address) ?? (user?.wallet === address ? user?.preferences : undefined),
     };
 
-    // Register in backend
-    try {
-      const response = await fetch(`${config.apiUrl}/api/auth/register`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          username: newUser.username,
-          wallet: newUser.wallet,
-        }),
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        newUser.id = data.user.id;
-        newUser.token = data.token;
-        newUser.isAdmin = data.user.isAdmin || false;
-      } else {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Registration failed');
-      }
-    } catch (error) {
-      throw error;
-    }
-
     setUser(newUser);
     localStorage.setItem('ultra-bingo-user', JSON.stringify(newUser));
     setShowLoginModal(false);
+    setSessionNotice(null);
 
     return newUser;
-  }, [isConnected, address]);
+  }, [isConnected, address, chainId, user, signMessageAsync]);
 
   // Disconnect everything
   const disconnect = useCallback(() => {
@@ -187,6 +223,23 @@ export function AuthProvider({ children }) {
   // Check if user is admin
   const isAdmin = user?.isAdmin || false;
 
+  // User preferences merged over the defaults
+  const preferences = { ...DEFAULT_PREFERENCES, ...user?.preferences };
+
+  // Update user preferences and persist them with the user data and for the wallet
+  const updatePreferences = useCallback((changes) => {
+    if (!user) return;
+    const updatedUser = {
+      ...user,
+      preferences: { ...user.preferences, ...changes },
+    };
+    setUser(updatedUser);
+    localStorage.setItem('ultra-bingo-user', JSON.stringify(updatedUser));
+    if (user.wallet) {
+      localStorage.setItem(preferencesKey(user.wallet), JSON.stringify(updatedUser.preferences));
+    }
+  }, [user]);
+
   // Get auth token for API calls
   const getToken = useCallback(() => {
     return user?.token || null;
@@ -194,12 +247,13 @@ export function AuthProvider({ children }) {
 
   const value = {
     user,
-    loading,
+    loading: false, // The saved user is read synchronously on mount
     isConnected,
     isLoggedIn,
     isAdmin,
     walletAddress: address || user?.wallet,
     showLoginModal,
+    sessionNotice,
     openLoginModal,
     closeLoginModal,
     loginWithUsername,
@@ -207,6 +261,8 @@ export function AuthProvider({ children }) {
     completeLogin,
     disconnect,
     getToken,
+    preferences,
+    updatePreferences,
     connectors,
   };
 
@@ -1,29 +1,128 @@
 import { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
 import { io } from 'socket.io-client';
 import { config } from '../config';
+import { normalizeWinners, mergeWinners } from '../utils/winners';
+import { normalizeStages, recordStageWinners } from '../utils/gameStages';
 
 const SocketContext = createContext(null);
 
+// Retry the snapshot request if the server doesn't answer in time
+const RESYNC_TIMEOUT_MS = 5000;
+// Events buffered while a snapshot is on its way (older ones are dropped)
+const MAX_PENDING_EVENTS = 200;
+// How long a server error stays visible
+const SERVER_ERROR_TIMEOUT_MS = 6000;
+
+// Convert the auto-call payload (relative delay) into a local timestamp
+function normalizeAutoCall(data) {
+  if (!data?.enabled) return null;
+  return {
+    enabled: true,
+    intervalSeconds: data.intervalSeconds,
+    nextCallAt: data.nextCallInMs != null ? Date.now() + data.nextCallInMs : null,
+  };
+}
+
+// Merge a full game-state snapshot into the current state
+// CRITICAL: Ensure all required fields exist to prevent crashes
+function mergeGameState(prev, state) {
+  return {
+    ...prev,
+    ...state,
+    // Ensure arrays are always defined
+    calledNumbers: state?.calledNumbers || prev?.calledNumbers || [],
+    potentialWinners: state?.potentialWinners || prev?.potentialWinners || [],
+    winners: state && ('winners' in state || 'winner' in state) ? normalizeWinners(state) : prev?.winners || [],
+    stages: state && 'stages' in state ? normalizeStages(state.stages) : prev?.stages || [],
+    autoCall: state && 'autoCall' in state ? normalizeAutoCall(state.autoCall) : prev?.autoCall || null,
+  };
+}
+
+// Game state of the joined room before its first snapshot arrives
+const INITIAL_GAME_STATE = {
+  status: 'waiting', // waiting, playing, paused, ended
+  gameMode: 'fullCard', // Current game mode (ULTRA patterns)
+  variant: config.defaultVariant, // us75, uk90 or speed30 - drives the board, cards and caller
+  calledNumbers: [],
+  currentNumber: null,
+  winner: null,
+  winners: [], // All verified winners - several cards can complete on the same ball
+  potentialWinners: [], // Cards that have completed BINGO
+  stages: [], // Multi-stage game: ordered prizes [{ gameMode, name, winners }] - empty for single-mode games
+  currentStage: 0, // Index of the stage being played
+  canPurchase: true, // Whether card purchases are allowed
+  patternInfo: null, // Current pattern info
+  lastRejectedWinner: null, // Track last rejected winner for "Continua el juego" message
+  showContinueMessage: false, // Show "Continua el juego" message
+  autoCall: null, // Automatic caller info { enabled, intervalSeconds, nextCallAt }
+  draw: null, // Verifiable draw { commitment, algorithm, seed } - seed only after reveal
+  cardsSold: null, // Cards sold for this game - drives the prize pool
+};
+
 export function SocketProvider({ children }) {
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
-  const [gameState, setGameState] = useState({
-    status: 'waiting', // waiting, playing, paused, ended
-    gameMode: 'fullCard', // Current game mode (ULTRA patterns)
-    calledNumbers: [],
-    currentNumber: null,
-    winner: null,
-    potentialWinners: [], // Cards that have completed BINGO
-    canPurchase: true, // Whether card purchases are allowed
-    patternInfo: null, // Current pattern info
-    lastRejectedWinner: null, // Track last rejected winner for "Continua el juego" message
-    showContinueMessage: false, // Show "Continua el juego" message
-  });
+  const [gameState, setGameState] = useState(INITIAL_GAME_STATE);
+  // Room the game state belongs to; events for other rooms are ignored
+  const [roomId, setRoomId] = useState(config.defaultRoomId);
+  const roomIdRef = useRef(config.defaultRoomId);
+  // Player BINGO claims by card id: 'pending' | 'accepted' | 'rejected' | 'failed'
+  const [claims, setClaims] = useState({});
+  // Role granted to the current socket auth: 'player' | 'admin'
+  const [role, setRole] = useState('player');
   const hasReconnectedRef = useRef(false);
   const continueMessageTimeoutRef = useRef(null);
+  // Admin session token (admin-token flow from /admin), takes precedence over the user token
+  const adminTokenRef = useRef(null);
+  // Mutable handle on the socket so its auth can be swapped before reconnecting
+  const socketRef = useRef(null);
+
+  // Event sequencing: every game event carries a monotonically increasing `seq`.
+  // A gap (or a reconnect) triggers a full `game-state` snapshot request.
+  // 'synced' | 'resyncing'
+  const [syncStatus, setSyncStatus] = useState('synced');
+  // Last connection / server error { type: 'connect' | 'server', message }
+  const [socketError, setSocketError] = useState(null);
+  const lastSeqRef = useRef(null);
+  const isResyncingRef = useRef(false);
+  const pendingEventsRef = useRef([]);
+  const resyncTimeoutRef = useRef(null);
+  const serverErrorTimeoutRef = useRef(null);
+
+  // Connection quality: round-trip latency (ms, Infinity when the ping times out)
+  // and automatic reconnection progress
+  const [latency, setLatency] = useState(null);
+  const [reconnectAttempt, setReconnectAttempt] = useState(0);
+  const [reconnectFailed, setReconnectFailed] = useState(false);
+
+  // Ask the server for a full snapshot and hold incremental events until it arrives
+  const requestResync = useCallback(() => {
+    isResyncingRef.current = true;
+    setSyncStatus('resyncing');
+
+    const sendRequest = () => {
+      if (resyncTimeoutRef.current) {
+        clearTimeout(resyncTimeoutRef.current);
+        resyncTimeoutRef.current = null;
+      }
+      const currentSocket = socketRef.current;
+      if (!currentSocket?.connected) return; // Retried on the next 'connect'
+
+      currentSocket.emit('request-game-state', { roomId: roomIdRef.current, lastSeq: lastSeqRef.current });
+      resyncTimeoutRef.current = setTimeout(() => {
+        resyncTimeoutRef.current = null;
+        if (isResyncingRef.current) sendRequest();
+      }, RESYNC_TIMEOUT_MS);
+    };
 
-  // Get auth info from localStorage
+    sendRequest();
+  }, []);
+
+  // Get auth info from the admin session or localStorage
   const getAuthInfo = () => {
+    if (adminTokenRef.current) {
+      return { token: adminTokenRef.current, isAdmin: true };
+    }
     try {
       const savedUser = localStorage.getItem('ultra-bingo-user');
       if (savedUser) {
@@ -37,14 +136,86 @@ export function SocketProvider({ children }) {
   };
 
   useEffect(() => {
+    // Apply an incremental event only if it is the next one in the sequence.
+    // Events without `seq` (older servers) are applied as they come.
+    const sequenced = (handler) => (data) => {
+      if (data?.roomId && data.roomId !== roomIdRef.current) return; // Another room
+
+      const seq = data?.seq;
+      if (typeof seq !== 'number') {
+        handler(data);
+        return;
+      }
+
+      if (isResyncingRef.current) {
+        pendingEventsRef.current = [...pendingEventsRef.current, { seq, handler, data }].slice(-MAX_PENDING_EVENTS);
+        return;
+      }
+
+      const lastSeq = lastSeqRef.current;
+      if (lastSeq !== null && seq <= lastSeq) return; // Duplicate or stale
+      if (lastSeq !== null && seq > lastSeq + 1) {
+        // Missed at least one event - keep this one and fetch a snapshot
+        pendingEventsRef.current = [{ seq, handler, data }];
+        requestResync();
+        return;
+      }
+
+      lastSeqRef.current = seq;
+      handler(data);
+    };
+
+    // Replay the events buffered during a resync that are newer than the snapshot
+    const flushPendingEvents = () => {
+      const pending = [...pendingEventsRef.current].sort((a, b) => a.seq - b.seq);
+      pendingEventsRef.current = [];
+
+      for (const event of pending) {
+        const lastSeq = lastSeqRef.current;
+        if (lastSeq !== null && event.seq <= lastSeq) continue;
+        if (lastSeq !== null && event.seq > lastSeq + 1) {
+          pendingEventsRef.current = pending.filter((e) => e.seq >= event.seq);
+          requestResync();
+          return;
+        }
+        lastSeqRef.current = event.seq;
+        event.handler(event.data);
+      }
+    };
+
+    // Mark the player's pending claims on winning cards as accepted
+    const acceptClaims = (winners) => {
+      if (winners.length === 0) return;
+      setClaims((prev) => {
+        const next = { ...prev };
+        winners.forEach((w) => {
+          if (next[w.cardId]) next[w.cardId] = 'accepted';
+        });
+        return next;
+      });
+    };
+
+    // The round is over - claims the server didn't accept won't be answered anymore
+    const rejectPendingClaims = () => {
+      setClaims((prev) => {
+        if (!Object.values(prev).includes('pending')) return prev;
+        return Object.fromEntries(
+          Object.entries(prev).map(([cardId, claim]) => [cardId, claim === 'pending' ? 'rejected' : claim])
+        );
+      });
+    };
+
     const { token, isAdmin } = getAuthInfo();
+    setRole(isAdmin ? 'admin' : 'player');
 
     // Create socket connection with auth
+    // Reconnection uses socket.io's exponential backoff (delay doubles up to the max)
     const newSocket = io(config.wsUrl, {
       autoConnect: true,
       reconnection: true,
-      reconnectionAttempts: 5,
-      reconnectionDelay: 1000,
+      reconnectionAttempts: config.connection.reconnectionAttempts,
+      reconnectionDelay: config.connection.reconnectionDelayMs,
+      reconnectionDelayMax: config.connection.reconnectionDelayMaxMs,
       auth: {
         token,
         isAdmin,
@@ -54,114 +225,288 @@ export function SocketProvider({ children }) {
     // Connection events
     newSocket.on('connect', () => {
       setIsConnected(true);
+      setReconnectAttempt(0);
+      setReconnectFailed(false);
+      setSocketError((prev) => (prev?.type === 'connect' ? null : prev));
+      // Rooms are per connection on the server - join again after reconnecting
+      newSocket.emit('join-game', { roomId: roomIdRef.current, gameId: roomIdRef.current });
+      // Anything may have happened while we were away
+      requestResync();
     });
 
     newSocket.on('disconnect', () => {
       setIsConnected(false);
+      setLatency(null);
     });
 
-    // Handle connection errors silently
-    newSocket.on('connect_error', () => {});
+    // Automatic reconnection progress (emitted by the manager, not the socket)
+    newSocket.io.on('reconnect_attempt', (attempt) => {
+      setReconnectAttempt(attempt);
+    });
 
-    // Handle general errors from server silently
-    newSocket.on('error', () => {});
+    newSocket.io.on('reconnect_failed', () => {
+      setReconnectFailed(true);
+    });
+
+    // Connection errors: keep the reason so the UI can show it
+    newSocket.on('connect_error', (err) => {
+      console.warn('Socket connection error:', err?.message);
+      setSocketError({ type: 'connect', message: err?.message || 'No se pudo conectar con el servidor' });
+    });
+
+    // Errors sent by the server (rejected actions, auth...)
+    newSocket.on('error', (err) => {
+      const message = typeof err === 'string' ? err : err?.message || 'Error del servidor';
+      console.warn('Socket server error:', message);
+      setSocketError({ type: 'server', message });
+      if (err?.code === 'OUT_OF_SYNC') {
+        requestResync();
+      }
+      if (serverErrorTimeoutRef.current) {
+        clearTimeout(serverErrorTimeoutRef.current);
+      }
+      serverErrorTimeoutRef.current = setTimeout(() => {
+        setSocketError((prev) => (prev?.type === 'server' ? null : prev));
+        serverErrorTimeoutRef.current = null;
+      }, SERVER_ERROR_TIMEOUT_MS);
+    });
 
     // Game events
+    // Full snapshot - authoritative, resets the event sequence
     newSocket.on('game-state', (state) => {
-      // CRITICAL: Ensure all required fields exist to prevent crashes
-      setGameState((prev) => ({
-        ...prev,
-        ...state,
-        // Ensure arrays are always defined
-        calledNumbers: state?.calledNumbers || prev?.calledNumbers || [],
-        potentialWinners: state?.potentialWinners || prev?.potentialWinners || [],
-      }));
+      if (state?.roomId && state.roomId !== roomIdRef.current) return; // Another room
+      setGameState((prev) => mergeGameState(prev, state));
+      const hasSeq = typeof state?.seq === 'number';
+      lastSeqRef.current = hasSeq ? state.seq : null;
+      // Without a sequence the buffered events can't be ordered against the snapshot
+      if (!hasSeq) pendingEventsRef.current = [];
+
+      if (isResyncingRef.current) {
+        isResyncingRef.current = false;
+        if (resyncTimeoutRef.current) {
+          clearTimeout(resyncTimeoutRef.current);
+          resyncTimeoutRef.current = null;
+        }
+        setSyncStatus('synced');
+      }
+      flushPendingEvents();
     });
 
-    newSocket.on('number-called', (data) => {
-      setGameState((prev) => ({
-        ...prev,
-        currentNumber: data.number,
-        calledNumbers: [...(prev?.calledNumbers || []), data.number],
-      }));
-    });
+    newSocket.on('number-called', sequenced((data) => {
+      setGameState((prev) => {
+        const calledNumbers = prev?.calledNumbers || [];
+        // Already in the list (e.g. replayed after a snapshot that included it)
+        if (calledNumbers.includes(data.number)) return prev;
+        return {
+          ...prev,
+          currentNumber: data.number,
+          calledNumbers: [...calledNumbers, data.number],
+        };
+      });
+    }));
 
-    newSocket.on('number-uncalled', (data) => {
+    newSocket.on('number-uncalled', sequenced((data) => {
       setGameState((prev) => ({
         ...prev,
         currentNumber: data.currentNumber,
         calledNumbers: data.calledNumbers || (prev?.calledNumbers || []).filter(n => n !== data.number),
       }));
-    });
+    }));
 
-    newSocket.on('game-started', (data) => {
+    newSocket.on('game-started', sequenced((data) => {
       setGameState((prev) => ({
         ...prev,
         status: 'playing',
         calledNumbers: [],
         currentNumber: null,
         winner: null,
+        winners: [],
         potentialWinners: [], // Reset potential winners on new game
         canPurchase: false,
         gameMode: data?.gameMode || prev?.gameMode || 'fullCard',
+        variant: data?.variant || prev?.variant || config.defaultVariant,
+        gameId: data?.gameId || null,
+        stages: normalizeStages(data?.stages || prev?.stages?.map((stage) => stage.gameMode)),
+        currentStage: 0,
+        // A revealed draw belongs to the previous game; an unrevealed commitment
+        // was published for this one before it started
+        draw: data?.draw ?? (prev?.draw?.seed ? null : prev?.draw ?? null),
       }));
-    });
+      setClaims({});
+    }));
 
-    newSocket.on('game-mode-changed', (data) => {
+    newSocket.on('game-mode-changed', sequenced((data) => {
       setGameState((prev) => ({
         ...prev,
         gameMode: data.mode,
         patternInfo: data.patternInfo || null,
       }));
-    });
+    }));
+
+    // Variant changed between games (75 / 90 / 30 balls) - the mode changes with it
+    newSocket.on('variant-changed', sequenced((data) => {
+      setGameState((prev) => ({
+        ...prev,
+        variant: data.variant,
+        gameMode: data.gameMode || prev?.gameMode,
+        patternInfo: data.patternInfo || null,
+      }));
+    }));
 
-    newSocket.on('game-paused', () => {
+    newSocket.on('game-paused', sequenced(() => {
       setGameState((prev) => ({
         ...prev,
         status: 'paused',
       }));
-    });
+    }));
 
-    newSocket.on('game-resumed', () => {
+    newSocket.on('game-resumed', sequenced(() => {
       setGameState((prev) => ({
         ...prev,
         status: 'playing',
       }));
-    });
+    }));
 
-    newSocket.on('game-ended', (data) => {
+    newSocket.on('game-ended', sequenced((data) => {
+      const winners = normalizeWinners(data);
       setGameState((prev) => ({
         ...prev,
         status: 'ended',
-        winner: data?.winner || null,
+        gameId: data?.gameId || winners[0]?.gameId || prev.gameId || null, // Used for the replay link
+        winner: winners[0] || null,
+        winners,
+        stages: recordStageWinners(prev?.stages || [], data?.stageIndex ?? prev?.currentStage ?? 0, winners),
         potentialWinners: [], // Clear potential winners when game ends
         canPurchase: true,
+        autoCall: null,
       }));
-    });
+      acceptClaims(winners);
+      rejectPendingClaims();
+    }));
 
-    newSocket.on('game-cleared', (data) => {
+    newSocket.on('game-cleared', sequenced((data) => {
       setGameState((prev) => ({
         ...prev,
         status: 'waiting',
         calledNumbers: [],
         currentNumber: null,
         winner: null,
+        winners: [],
         potentialWinners: [],
+        // Keep the configured stages for the next game, without winners
+        stages: (prev?.stages || []).map((stage) => ({ ...stage, winners: [] })),
+        currentStage: 0,
         canPurchase: true,
         showContinueMessage: false,
+        autoCall: null,
+        draw: null,
       }));
-    });
+      setClaims({});
+    }));
+
+    // One or more winners verified - co-winners on the same ball arrive together
+    // in `winners` or one announcement at a time
+    newSocket.on('winner-announced', sequenced((data) => {
+      const announced = normalizeWinners(data);
+      const announcedIds = new Set(announced.map((w) => w.cardId));
+      setGameState((prev) => {
+        const winners = mergeWinners(prev?.winners, announced);
+        return {
+          ...prev,
+          winner: winners[0] || null,
+          winners,
+          stages: recordStageWinners(prev?.stages || [], data?.stageIndex ?? prev?.currentStage ?? 0, announced),
+          // Only the verified cards leave the queue - co-winners may still be pending
+          potentialWinners: (prev?.potentialWinners || []).filter((w) => !announcedIds.has(w.cardId)),
+        };
+      });
+      // Resolve the player's claims for the winning cards
+      acceptClaims(announced);
+    }));
 
-    newSocket.on('winner-announced', (data) => {
+    // Stages configured for the room's next game
+    newSocket.on('stages-updated', sequenced((data) => {
       setGameState((prev) => ({
         ...prev,
-        winner: data?.winner || null,
-        potentialWinners: [], // Clear potential winners when official winner announced
+        stages: normalizeStages(data.stages),
+        currentStage: data.currentStage ?? 0,
       }));
-    });
+    }));
+
+    // Stage won - same called numbers, next pattern
+    newSocket.on('stage-advanced', sequenced((data) => {
+      setGameState((prev) => ({
+        ...prev,
+        currentStage: data.currentStage,
+        gameMode: data.gameMode || prev?.stages?.[data.currentStage]?.gameMode || prev?.gameMode,
+        patternInfo: data.patternInfo || null,
+        // Winners and claims belong to the stage that just finished
+        winner: null,
+        winners: [],
+        potentialWinners: [],
+        showContinueMessage: false,
+      }));
+      setClaims({});
+    }));
+
+    // Automatic caller schedule (broadcast from the admin console)
+    newSocket.on('auto-call-updated', sequenced((data) => {
+      setGameState((prev) => ({
+        ...prev,
+        autoCall: normalizeAutoCall(data),
+      }));
+    }));
+
+    // Verifiable draw: hash of the seed published before the game starts
+    newSocket.on('draw-committed', sequenced((data) => {
+      setGameState((prev) => ({
+        ...prev,
+        draw: {
+          commitment: data.commitment,
+          algorithm: data.algorithm || null,
+          seed: null,
+        },
+      }));
+    }));
+
+    // Verifiable draw: seed revealed after the game ends
+    newSocket.on('draw-revealed', sequenced((data) => {
+      setGameState((prev) => ({
+        ...prev,
+        draw: {
+          ...prev?.draw,
+          commitment: data.commitment || prev?.draw?.commitment || null,
+          algorithm: data.algorithm || prev?.draw?.algorithm || null,
+          seed: data.seed,
+        },
+      }));
+    }));
+
+    // Cards sold changed (purchases) - prize pool grows live
+    newSocket.on('cards-sold-updated', sequenced((data) => {
+      setGameState((prev) => ({
+        ...prev,
+        cardsSold: data.cardsSold,
+        prizePool: data.prizePool || null,
+      }));
+    }));
+
+    // Payout to the verified winner progressed (pending -> sent -> confirmed / failed)
+    newSocket.on('payout-updated', sequenced((data) => {
+      setGameState((prev) => {
+        const winners = prev?.winners || [];
+        if (!winners.some((w) => w.cardId === data.cardId)) return prev;
+        const updated = winners.map((w) => (w.cardId === data.cardId ? { ...w, payout: data.payout } : w));
+        return {
+          ...prev,
+          winner: updated[0],
+          winners: updated,
+        };
+      });
+    }));
 
     // Potential winner detected (BINGO completed)
-    newSocket.on('potential-winner', (data) => {
+    newSocket.on('potential-winner', sequenced((data) => {
       setGameState((prev) => {
         // CRITICAL: Ensure potentialWinners is always an array
         const currentWinners = prev?.potentialWinners || [];
@@ -174,10 +519,10 @@ export function SocketProvider({ children }) {
           showContinueMessage: false, // Hide continue message when new winner detected
         };
       });
-    });
+    }));
 
     // Winner rejected - game continues
-    newSocket.on('winner-rejected', (data) => {
+    newSocket.on('winner-rejected', sequenced((data) => {
       setGameState((prev) => {
         const currentWinners = prev?.potentialWinners || [];
         return {
@@ -187,6 +532,7 @@ export function SocketProvider({ children }) {
           showContinueMessage: true, // Show "Continua el juego" message
         };
       });
+      setClaims((prev) => (prev[data.cardId] ? { ...prev, [data.cardId]: 'rejected' } : prev));
       // Auto-hide the continue message after 5 seconds
       // Clear any existing timeout to prevent memory leaks
       if (continueMessageTimeoutRef.current) {
@@ -199,8 +545,9 @@ export function SocketProvider({ children }) {
         }));
         continueMessageTimeoutRef.current = null;
       }, 5000);
-    });
+    }));
 
+    socketRef.current = newSocket;
     setSocket(newSocket);
 
     // Cleanup on unmount - IMPORTANT: Remove all listeners to prevent memory leaks
@@ -210,6 +557,14 @@ export function SocketProvider({ children }) {
         clearTimeout(continueMessageTimeoutRef.current);
         continueMessageTimeoutRef.current = null;
       }
+      if (resyncTimeoutRef.current) {
+        clearTimeout(resyncTimeoutRef.current);
+        resyncTimeoutRef.current = null;
+      }
+      if (serverErrorTimeoutRef.current) {
+        clearTimeout(serverErrorTimeoutRef.current);
+        serverErrorTimeoutRef.current = null;
+      }
       newSocket.off('connect');
       newSocket.off('disconnect');
       newSocket.off('connect_error');
@@ -223,98 +578,209 @@ export function SocketProvider({ children }) {
       newSocket.off('game-ended');
       newSocket.off('game-cleared');
       newSocket.off('game-mode-changed');
+      newSocket.off('variant-changed');
       newSocket.off('winner-announced');
       newSocket.off('potential-winner');
       newSocket.off('winner-rejected');
+      newSocket.off('stages-updated');
+      newSocket.off('stage-advanced');
+      newSocket.off('auto-call-updated');
+      newSocket.off('draw-committed');
+      newSocket.off('draw-revealed');
+      newSocket.off('cards-sold-updated');
+      newSocket.off('payout-updated');
+      newSocket.io.off('reconnect_attempt');
+      newSocket.io.off('reconnect_failed');
       newSocket.close();
     };
-  }, []);
+  }, [requestResync]);
+
+  // Measure latency with an acknowledged ping while connected
+  useEffect(() => {
+    if (!socket || !isConnected) return;
 
-  // Join a game room - useCallback to prevent unnecessary re-renders
-  const joinGame = useCallback((gameId) => {
+    const ping = () => {
+      const startedAt = Date.now();
+      socket.timeout(config.connection.pingTimeoutMs).emit('latency-ping', { sentAt: startedAt }, (err) => {
+        setLatency(err ? Infinity : Date.now() - startedAt);
+      });
+    };
+
+    ping();
+    const interval = setInterval(ping, config.connection.pingIntervalMs);
+    return () => clearInterval(interval);
+  }, [socket, isConnected]);
+
+  // 'good' | 'degraded' | 'offline'
+  let connectionQuality = 'offline';
+  if (isConnected) {
+    connectionQuality = latency !== null && latency >= config.connection.degradedLatencyMs ? 'degraded' : 'good';
+  }
+
+  // Join a game room - switches the game state to that room
+  // (`gameId` is still sent for servers that only know the single room)
+  const joinGame = useCallback((nextRoomId = config.defaultRoomId) => {
+    if (roomIdRef.current !== nextRoomId) {
+      roomIdRef.current = nextRoomId;
+      lastSeqRef.current = null;
+      pendingEventsRef.current = [];
+      setRoomId(nextRoomId);
+      setGameState(INITIAL_GAME_STATE);
+      setClaims({});
+    }
     if (socket) {
-      socket.emit('join-game', { gameId });
+      socket.emit('join-game', { roomId: nextRoomId, gameId: nextRoomId });
+      requestResync();
     }
-  }, [socket]);
+  }, [socket, requestResync]);
 
   // Leave a game room - useCallback to prevent unnecessary re-renders
-  const leaveGame = useCallback((gameId) => {
+  const leaveGame = useCallback((leftRoomId = roomIdRef.current) => {
     if (socket) {
-      socket.emit('leave-game', { gameId });
+      socket.emit('leave-game', { roomId: leftRoomId, gameId: leftRoomId });
     }
   }, [socket]);
 
+  // Player: Claim BINGO on one of my cards
+  // Without an ack in time (or with an error) the claim goes to 'failed' so it can be sent again
+  const claimBingo = useCallback((cardId) => {
+    if (socket && cardId) {
+      setClaims((prev) => ({ ...prev, [cardId]: 'pending' }));
+      socket.timeout(config.connection.claimAckTimeoutMs).emit('claim-bingo', { roomId: roomIdRef.current, cardId }, (err, response) => {
+        if (!err && !response?.error) return;
+        setClaims((prev) => (prev[cardId] === 'pending' ? { ...prev, [cardId]: 'failed' } : prev));
+      });
+    }
+  }, [socket]);
+
+  // Apply a game-state snapshot received outside the socket (e.g. REST reset responses)
+  const applyGameState = useCallback((state) => {
+    if (state) {
+      setGameState((prev) => mergeGameState(prev, state));
+    }
+  }, []);
+
   // ============== ADMIN FUNCTIONS ==============
 
+  const isAdminSocket = role === 'admin';
+
+  // Emit an admin event only when the socket was authenticated as admin
+  // Every admin event is scoped to the joined room
+  const emitAdmin = useCallback((event, payload = {}) => {
+    if (socket && isAdminSocket) {
+      socket.emit(event, { ...payload, roomId: roomIdRef.current });
+    }
+  }, [socket, isAdminSocket]);
+
   // Admin: Start game
   const startGame = useCallback(() => {
-    if (socket) {
-      socket.emit('admin:start-game');
-          }
-  }, [socket]);
+    emitAdmin('admin:start-game');
+  }, [emitAdmin]);
 
   // Admin: Pause game
   const pauseGame = useCallback(() => {
-    if (socket) {
-      socket.emit('admin:pause-game');
-          }
-  }, [socket]);
+    emitAdmin('admin:pause-game');
+  }, [emitAdmin]);
 
   // Admin: Resume game
   const resumeGame = useCallback(() => {
-    if (socket) {
-      socket.emit('admin:resume-game');
-          }
-  }, [socket]);
+    emitAdmin('admin:resume-game');
+  }, [emitAdmin]);
 
   // Admin: End game
   const endGame = useCallback((winner = null) => {
-    if (socket) {
-      socket.emit('admin:end-game', { winner });
-          }
-  }, [socket]);
+    emitAdmin('admin:end-game', { winner });
+  }, [emitAdmin]);
 
   // Admin: Clear game (reset UI without starting new game)
   const clearGame = useCallback(() => {
-    if (socket) {
-      socket.emit('admin:clear-game');
-          }
-  }, [socket]);
+    emitAdmin('admin:clear-game');
+  }, [emitAdmin]);
 
   // Admin: Call number
   const callNumber = useCallback((number) => {
-    if (socket) {
-      socket.emit('admin:call-number', { number });
-          }
-  }, [socket]);
+    emitAdmin('admin:call-number', { number });
+  }, [emitAdmin]);
 
   // Admin: Uncall number (remove incorrectly called number)
   const uncallNumber = useCallback((number) => {
-    if (socket) {
-      socket.emit('admin:uncall-number', { number });
-          }
-  }, [socket]);
+    emitAdmin('admin:uncall-number', { number });
+  }, [emitAdmin]);
 
   // Admin: Verify winner
   const verifyWinner = useCallback((cardId) => {
-    if (socket) {
-      socket.emit('admin:verify-winner', { cardId });
-          }
-  }, [socket]);
+    emitAdmin('admin:verify-winner', { cardId });
+  }, [emitAdmin]);
+
+  // Admin: Verify several cards that completed on the same ball (split pot)
+  const verifyWinners = useCallback((cardIds) => {
+    emitAdmin('admin:verify-winners', { cardIds });
+  }, [emitAdmin]);
+
+  // Admin: Switch the bingo variant of the next game (us75, uk90, speed30)
+  const setVariant = useCallback((variant) => {
+    emitAdmin('admin:set-variant', { variant });
+  }, [emitAdmin]);
+
+  // Admin: Define the ordered stages (game modes) of the next game
+  const setStages = useCallback((modes) => {
+    emitAdmin('admin:set-stages', { stages: modes });
+  }, [emitAdmin]);
+
+  // Admin: Move on to the next stage once the current one has its winners
+  const advanceStage = useCallback(() => {
+    emitAdmin('admin:advance-stage');
+  }, [emitAdmin]);
 
   // Admin: Reject potential winner and resume game
   const rejectWinner = useCallback((cardId) => {
-    if (socket) {
-      socket.emit('admin:reject-winner', { cardId });
-          }
-  }, [socket]);
+    emitAdmin('admin:reject-winner', { cardId });
+  }, [emitAdmin]);
 
   // Admin: Set game mode
   const setGameMode = useCallback((mode) => {
-    if (socket) {
-      socket.emit('admin:set-game-mode', { mode });
-          }
-  }, [socket]);
+    emitAdmin('admin:set-game-mode', { mode });
+  }, [emitAdmin]);
+
+  // Admin: Publish the automatic caller schedule to players
+  const setAutoCall = useCallback(({ enabled, intervalSeconds, nextCallInMs = null }) => {
+    emitAdmin('admin:auto-call', { enabled, intervalSeconds, nextCallInMs });
+  }, [emitAdmin]);
+
+  // Admin: Publish the hash of the draw seed (before admin:start-game)
+  const commitDraw = useCallback(({ commitment, algorithm }) => {
+    emitAdmin('admin:commit-draw', { commitment, algorithm });
+  }, [emitAdmin]);
+
+  // Admin: Reveal the draw seed (after game-ended)
+  const revealDraw = useCallback((seed) => {
+    emitAdmin('admin:reveal-draw', { seed });
+  }, [emitAdmin]);
+
+  // Reconnect the shared socket with the current auth info
+  const reconnectSocket = useCallback(() => {
+    const currentSocket = socketRef.current;
+    if (!currentSocket) return;
+    const { token, isAdmin } = getAuthInfo();
+    currentSocket.auth = { token, isAdmin };
+    setRole(isAdmin ? 'admin' : 'player');
+    currentSocket.disconnect();
+    setTimeout(() => currentSocket.connect(), 100);
+  }, []);
+
+  // Admin: Start an admin session with a validated admin-token
+  const setAdminSession = useCallback((adminToken) => {
+    if (!adminToken || adminTokenRef.current === adminToken) return;
+    adminTokenRef.current = adminToken;
+    reconnectSocket();
+  }, [reconnectSocket]);
+
+  // Admin: End the admin session and fall back to the user's auth
+  const clearAdminSession = useCallback(() => {
+    if (!adminTokenRef.current) return;
+    adminTokenRef.current = null;
+    reconnectSocket();
+  }, [reconnectSocket]);
 
   // Reconnect with new auth (useful after login)
   const reconnectWithAuth = useCallback(() => {
@@ -322,10 +788,14 @@ export function SocketProvider({ children }) {
       hasReconnectedRef.current = true;
       const { token, isAdmin } = getAuthInfo();
       socket.auth = { token, isAdmin };
+      setRole(isAdmin ? 'admin' : 'player');
+      // Manual reconnect starts a fresh backoff cycle
+      setReconnectAttempt(0);
+      setReconnectFailed(false);
       socket.disconnect();
       setTimeout(() => {
         socket.connect();
-                // Reset after a delay to allow future reconnects if needed
+        // Reset after a delay to allow future reconnects if needed
         setTimeout(() => {
           hasReconnectedRef.current = false;
         }, 5000);
@@ -336,10 +806,26 @@ export function SocketProvider({ children }) {
   const value = {
     socket,
     isConnected,
+    roomId,
     gameState,
+    // Sync state: 'resyncing' while a full snapshot is pending
+    syncStatus,
+    socketError,
+    resyncGameState: requestResync,
+    // Connection quality
+    latency: isConnected ? latency : null,
+    connectionQuality,
+    reconnectAttempt,
+    reconnectFailed,
     joinGame,
     leaveGame,
-    // Admin functions
+    claims,
+    claimBingo,
+    applyGameState,
+    // Admin functions (no-op unless the socket is authenticated as admin)
+    isAdminSocket,
+    setAdminSession,
+    clearAdminSession,
     startGame,
     pauseGame,
     resumeGame,
@@ -348,8 +834,15 @@ export function SocketProvider({ children }) {
     callNumber,
     uncallNumber,
     verifyWinner,
+    verifyWinners,
     rejectWinner,
+    setStages,
+    advanceStage,
+    setVariant,
     setGameMode,
+    setAutoCall,
+    commitDraw,
+    revealDraw,
     reconnectWithAuth,
   };
 
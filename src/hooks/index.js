@@ -1 +1,9 @@
 export { useX402Payment } from './useX402Payment';
+export { useAutoCaller } from './useAutoCaller';
+export { useRooms, getRoomCardPrice } from './useRooms';
+export { useNow } from './useNow';
+export { useSchedule } from './useSchedule';
+export { useGameModes } from './useGameModes';
+export { useCardGifts } from './useCardGifts';
+export { useAvailableCards } from './useAvailableCards';
+export { useCardReservation } from './useCardReservation';
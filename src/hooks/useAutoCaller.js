@@ -0,0 +1,83 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { config } from '../config';
+
+/**
+ * Hook for the admin automatic number caller
+ * Calls a number every `intervalSeconds` while the game is playing, and holds
+ * while there are potential winners waiting for verification. It resumes by
+ * itself once they are cleared (winner-rejected) and the game is playing again.
+ *
+ * @param {Object} options
+ * @param {string} options.status - Current game status
+ * @param {Array} options.potentialWinners - Cards pending verification
+ * @param {boolean} options.held - Extra hold, e.g. a stage was won and the next one hasn't started
+ * @param {Function} options.onCall - Called on every tick to call the next number
+ */
+export function useAutoCaller({ status, potentialWinners = [], held = false, onCall }) {
+  const [running, setRunning] = useState(false);
+  const [intervalSeconds, setIntervalSecondsState] = useState(config.autoCall.defaultIntervalSeconds);
+  const [nextCallAt, setNextCallAt] = useState(null);
+  const onCallRef = useRef(onCall);
+
+  // Keep the latest callback without restarting the timer
+  useEffect(() => {
+    onCallRef.current = onCall;
+  }, [onCall]);
+
+  const isHeldForWinner = potentialWinners.length > 0 || held;
+  const isArmed = running && status === 'playing' && !isHeldForWinner;
+
+  // Schedule calls while armed; each tick publishes the next call time
+  useEffect(() => {
+    if (!isArmed) return undefined;
+
+    const intervalMs = intervalSeconds * 1000;
+    let timer = null;
+
+    const scheduleNext = () => {
+      setNextCallAt(Date.now() + intervalMs);
+      timer = setTimeout(() => {
+        onCallRef.current?.();
+        scheduleNext();
+      }, intervalMs);
+    };
+    scheduleNext();
+
+    return () => clearTimeout(timer);
+  }, [isArmed, intervalSeconds]);
+
+  // Stop automatically when the game is no longer active
+  const [prevStatus, setPrevStatus] = useState(status);
+  if (status !== prevStatus) {
+    setPrevStatus(status);
+    if (status === 'ended' || status === 'waiting') {
+      setRunning(false);
+    }
+  }
+
+  const start = useCallback(() => setRunning(true), []);
+  const stop = useCallback(() => setRunning(false), []);
+
+  /**
+   * Change the interval, clamped to the configured range
+   * @param {number} seconds - Seconds between calls
+   */
+  const setIntervalSeconds = useCallback((seconds) => {
+    const { minIntervalSeconds, maxIntervalSeconds } = config.autoCall;
+    const value = Math.round(Number(seconds)) || config.autoCall.defaultIntervalSeconds;
+    setIntervalSecondsState(Math.min(maxIntervalSeconds, Math.max(minIntervalSeconds, value)));
+  }, []);
+
+  return {
+    running,
+    isArmed,
+    isHeldForWinner: running && isHeldForWinner,
+    intervalSeconds,
+    nextCallAt: isArmed ? nextCallAt : null,
+    start,
+    stop,
+    setIntervalSeconds,
+  };
+}
+
+export default useAutoCaller;
@@ -0,0 +1,74 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { getAvailableCards, isAbortError } from '../services/api';
+import { PICKER_PAGE_SIZE, cardContainsNumbers } from '../utils/cardPicker';
+
+/**
+ * Hook that pages through the unsold cards of a room
+ * Loads `/api/cards/available` with the page and the "contains these numbers"
+ * filter. The filter is applied again on the client in case the server
+ * ignores it.
+ *
+ * @param {Object} options
+ * @param {string} options.roomId - Room the cards belong to
+ * @param {number} options.page - 1-based page
+ * @param {number[]} options.numbers - Numbers every card must contain
+ * @param {boolean} options.enabled - Skip fetching while the picker is closed
+ */
+export function useAvailableCards({ roomId, page = 1, numbers = [], enabled = true }) {
+  const [data, setData] = useState({ cards: [], total: 0, totalPages: 1 });
+  const [loading, setLoading] = useState(enabled);
+  const [error, setError] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  const contains = numbers.join(',');
+
+  // Show the loading state as soon as the query changes
+  const queryKey = `${roomId}|${page}|${contains}|${version}|${enabled}`;
+  const [prevQueryKey, setPrevQueryKey] = useState(queryKey);
+  if (prevQueryKey !== queryKey) {
+    setPrevQueryKey(queryKey);
+    setLoading(enabled);
+    setError(null);
+  }
+
+  useEffect(() => {
+    if (!enabled) return;
+    const controller = new AbortController();
+
+    async function fetchCards() {
+      try {
+        const result = await getAvailableCards(
+          { roomId, page, limit: PICKER_PAGE_SIZE, contains },
+          { signal: controller.signal }
+        );
+
+        const total = result.total || 0;
+        setData({
+          cards: result.cards || [],
+          total,
+          totalPages: result.totalPages || Math.max(1, Math.ceil(total / PICKER_PAGE_SIZE)),
+        });
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error fetching available cards:', err);
+        setError(err.message);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }
+
+    fetchCards();
+    return () => controller.abort();
+  }, [roomId, page, contains, version, enabled]);
+
+  const cards = useMemo(() => {
+    const filter = contains ? contains.split(',').map(Number) : [];
+    return data.cards.filter((card) => cardContainsNumbers(card, filter));
+  }, [data.cards, contains]);
+
+  const refresh = useCallback(() => {
+    setVersion((v) => v + 1);
+  }, []);
+
+  return { cards, total: data.total, totalPages: data.totalPages, loading, error, refresh };
+}
@@ -0,0 +1,81 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSignMessage } from 'wagmi';
+import { useAuth } from '../context/AuthContext';
+import { getReceivedGifts, sendCardGift, markGiftsSeen, isAbortError } from '../services/api';
+import { buildGiftMessage } from '../utils/cardGifts';
+
+/**
+ * Hook for gifting cards to another user and for the gifts received
+ * Sending asks the owner's wallet to sign a summary of the gift
+ * (see utils/cardGifts) that the backend checks before transferring.
+ *
+ * Received gift: { id, fromUsername, cardIds, createdAt }
+ */
+export function useCardGifts() {
+  const { user, walletAddress } = useAuth();
+  const { signMessageAsync } = useSignMessage();
+  const [receivedGifts, setReceivedGifts] = useState([]);
+  const [sending, setSending] = useState(false);
+
+  const token = user?.token;
+
+  // Gifts not acknowledged yet
+  useEffect(() => {
+    if (!token) return;
+    const controller = new AbortController();
+
+    async function fetchReceived() {
+      try {
+        setReceivedGifts(await getReceivedGifts({ signal: controller.signal }));
+      } catch (err) {
+        if (!isAbortError(err)) console.error('Error fetching received gifts:', err);
+      }
+    }
+
+    fetchReceived();
+    return () => controller.abort();
+  }, [token]);
+
+  /**
+   * Sign and send a gift
+   * @param {string[]} cardIds - Cards to transfer
+   * @param {{ username?: string, wallet?: string }} recipient
+   * @returns {Promise<Object>} Backend response
+   */
+  const sendGift = useCallback(async (cardIds, recipient) => {
+    if (!token || !walletAddress) {
+      throw new Error('Conecta tu wallet para regalar cartones');
+    }
+
+    setSending(true);
+    try {
+      const message = buildGiftMessage({
+        from: user.username,
+        wallet: walletAddress,
+        recipient,
+        cardIds,
+        issuedAt: new Date().toISOString(),
+      });
+      const signature = await signMessageAsync({ message });
+
+      return await sendCardGift({ cardIds, recipient, message, signature });
+    } finally {
+      setSending(false);
+    }
+  }, [token, walletAddress, user, signMessageAsync]);
+
+  // Mark received gifts as seen so the notice goes away
+  const dismissGifts = useCallback(async () => {
+    const giftIds = receivedGifts.map((gift) => gift.id);
+    setReceivedGifts([]);
+    if (!token || giftIds.length === 0) return;
+
+    try {
+      await markGiftsSeen(giftIds);
+    } catch (err) {
+      console.error('Error dismissing gifts:', err);
+    }
+  }, [receivedGifts, token]);
+
+  return { receivedGifts, sendGift, dismissGifts, sending };
+}
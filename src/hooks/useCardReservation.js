@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useNow } from './useNow';
+import { reserveCards, releaseReservation } from '../services/api';
+import { normalizeReservation, getHoldSecondsLeft } from '../utils/cardReservation';
+
+/**
+ * Hook for holding cards while the player pays
+ * `reserve` asks the server to set cards aside for the player; the hold
+ * expires on its own after `expiresAt`, and is released explicitly when the
+ * player cancels or leaves the page.
+ *
+ * @param {string} roomId - Room the cards belong to
+ */
+export function useCardReservation(roomId) {
+  const { user } = useAuth();
+  const [reservation, setReservation] = useState(null);
+  const [reserving, setReserving] = useState(false);
+
+  // A hold belongs to one room - drop it when switching rooms (released below)
+  const [prevRoomId, setPrevRoomId] = useState(roomId);
+  if (prevRoomId !== roomId) {
+    setPrevRoomId(roomId);
+    setReservation(null);
+  }
+
+  const now = useNow(1000, !!reservation);
+  const secondsLeft = getHoldSecondsLeft(reservation, now);
+  const expired = !!reservation && secondsLeft === 0;
+
+  const token = user?.token;
+
+  /**
+   * Hold specific cards or any N cards of the room
+   * @param {{ cardIds?: string[], quantity?: number }} request
+   * @returns {Promise<Object>} The normalized reservation
+   */
+  const reserve = useCallback(async ({ cardIds, quantity }) => {
+    setReserving(true);
+    try {
+      const data = await reserveCards({ roomId, cardIds, quantity }).catch((err) => {
+        // Unsold cards left when the request asked for more
+        err.available = err.data?.available ?? null;
+        throw err;
+      });
+
+      const next = normalizeReservation(data);
+      if (!next) throw new Error('Respuesta de reserva inválida');
+      setReservation(next);
+      return next;
+    } finally {
+      setReserving(false);
+    }
+  }, [roomId]);
+
+  // Give the cards back before the hold runs out (the one just returned by `reserve` can be passed in)
+  const release = useCallback(async (target = reservation) => {
+    if (!target) return;
+    setReservation(null);
+
+    try {
+      await releaseReservation(target.id);
+    } catch (err) {
+      console.error('Error releasing reservation:', err);
+    }
+  }, [reservation]);
+
+  // The hold was consumed by a purchase (or already expired)
+  const clear = useCallback(() => {
+    setReservation(null);
+  }, []);
+
+  // Release whatever is still held when the room changes or the page unmounts
+  const pendingRef = useRef(null);
+  useEffect(() => {
+    pendingRef.current = reservation && !expired ? { id: reservation.id, token } : null;
+  }, [reservation, expired, token]);
+
+  useEffect(() => {
+    return () => {
+      const pending = pendingRef.current;
+      if (!pending) return;
+      // With the token captured while the hold was active - the session may be gone by now
+      releaseReservation(pending.id, {
+        auth: false,
+        headers: { Authorization: `Bearer ${pending.token}` },
+        keepalive: true,
+      }).catch(() => {});
+    };
+  }, [roomId]);
+
+  return {
+    reservation: expired ? null : reservation,
+    secondsLeft,
+    expired,
+    reserving,
+    reserve,
+    release,
+    clear,
+  };
+}
@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSocket } from '../context/SocketContext';
+import { getGameModes } from '../services/api';
+import { registerCustomPatterns } from '../utils/bingoPatterns';
+
+/**
+ * Hook for the selectable game modes (built-in ULTRA patterns + admin custom patterns)
+ * Loads `/api/game/modes` and registers the custom grids so the client pattern
+ * engine and previews know them. Refetches on the `patterns-updated` broadcast.
+ *
+ * Each mode: { key, name, description, custom?, grid? }
+ */
+export function useGameModes() {
+  const { socket } = useSocket();
+  const [modes, setModes] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchModes = useCallback(async () => {
+    try {
+      const gameModes = await getGameModes();
+      // Register before the state update so the re-render already sees the grids
+      registerCustomPatterns(gameModes);
+      setModes(gameModes);
+    } catch (err) {
+      console.error('Error fetching game modes:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchModes();
+  }, [fetchModes]);
+
+  // A custom pattern was created or deleted
+  useEffect(() => {
+    if (!socket) return;
+
+    socket.on('patterns-updated', fetchModes);
+    return () => {
+      socket.off('patterns-updated', fetchModes);
+    };
+  }, [socket, fetchModes]);
+
+  return { modes, loading, refresh: fetchModes };
+}
@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Hook that returns the current time, refreshed every `intervalMs`
+ * Used by countdowns so they re-render without their own timers.
+ *
+ * @param {number} intervalMs - Refresh interval (1s by default)
+ * @param {boolean} enabled - Stop ticking when nothing is counting down
+ */
+export function useNow(intervalMs = 1000, enabled = true) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!enabled) return;
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs, enabled]);
+
+  return now;
+}
@@ -0,0 +1,60 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSocket } from '../context/SocketContext';
+import { config } from '../config';
+import { getRooms } from '../services/api';
+
+/**
+ * Hook for the list of game rooms (lobby, Home room picker, admin console)
+ * Loads `/api/rooms` once and keeps it fresh with the `rooms-updated` socket
+ * broadcast (status, player count and mode change while games run).
+ *
+ * Each room: { id, name, status, playerCount, gameMode, patternName, cardPrice, language }
+ */
+export function useRooms() {
+  const { socket } = useSocket();
+  const [rooms, setRooms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchRooms = useCallback(async () => {
+    try {
+      setRooms(await getRooms());
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching rooms:', err);
+      setError('Error cargando las salas');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRooms();
+  }, [fetchRooms]);
+
+  // Live updates from the server
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleRoomsUpdated = (data) => {
+      setRooms(Array.isArray(data) ? data : data?.rooms || []);
+      setLoading(false);
+    };
+
+    socket.on('rooms-updated', handleRoomsUpdated);
+    return () => {
+      socket.off('rooms-updated', handleRoomsUpdated);
+    };
+  }, [socket]);
+
+  return { rooms, loading, error, refresh: fetchRooms };
+}
+
+/**
+ * Card price of a room (falls back to the global price)
+ * @param {Object} room
+ * @returns {number}
+ */
+export function getRoomCardPrice(room) {
+  return room?.cardPrice ?? config.cardPrice;
+}
@@ -0,0 +1,59 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useSocket } from '../context/SocketContext';
+import { getSchedule } from '../services/api';
+
+/**
+ * Hook for the scheduled games (upcoming start times)
+ * Loads `/api/games/schedule` and follows the `schedule-updated` broadcast.
+ *
+ * Each game: { id, roomId, title, startsAt, cardPrice, gameMode }
+ *
+ * @param {Object} options
+ * @param {string} options.roomId - Only games of this room (all rooms when omitted)
+ */
+export function useSchedule({ roomId = null } = {}) {
+  const { socket } = useSocket();
+  const [games, setGames] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchSchedule = useCallback(async () => {
+    try {
+      setGames(await getSchedule({ roomId }));
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching schedule:', err);
+      setError('Error cargando las próximas partidas');
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    fetchSchedule();
+  }, [fetchSchedule]);
+
+  // Admin changes are broadcast to everyone
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleScheduleUpdated = (data) => {
+      const updated = Array.isArray(data) ? data : data?.games || [];
+      setGames(roomId ? updated.filter((game) => game.roomId === roomId) : updated);
+      setLoading(false);
+    };
+
+    socket.on('schedule-updated', handleScheduleUpdated);
+    return () => {
+      socket.off('schedule-updated', handleScheduleUpdated);
+    };
+  }, [socket, roomId]);
+
+  // Soonest first - filtering out started games is left to the caller's clock
+  const sortedGames = useMemo(
+    () => [...games].sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt)),
+    [games]
+  );
+
+  return { games: sortedGames, loading, error, refresh: fetchSchedule };
+}
@@ -1,14 +1,43 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { io } from 'socket.io-client';
 import { useAccount, useConnect, useDisconnect } from 'wagmi';
 import { injected } from 'wagmi/connectors';
-import { NumberBall, BingoCard } from '../components/bingo';
+import { useSocket } from '../context/SocketContext';
+import { useAutoCaller, useRooms, useSchedule, useGameModes } from '../hooks';
+import { NumberBall, BingoCard, NextBallCountdown, ConnectionBanner, GameStages, PatternDesigner } from '../components/bingo';
 import { config } from '../config';
+import { registerSession } from '../services/apiClient';
+import {
+  adminLogin,
+  validateAdminToken,
+  refreshAdminSession,
+  searchCards,
+  getCardDetails,
+  resetGame,
+  resetCards,
+  fullReset,
+  scheduleGame,
+  cancelScheduledGame,
+  savePattern,
+  deletePattern,
+} from '../services/api';
+import { PATTERN_NAMES, getPatternName } from '../utils/bingoPatterns';
+import { groupByWinningNumber } from '../utils/winners';
+import { DEFAULT_STAGE_MODES } from '../utils/gameStages';
+import { isGameInProgress } from '../utils/gameStatus';
+import { DRAW_ALGORITHM, generateSeed, hashSeed, deriveDrawSequence, getNextDrawNumber } from '../utils/drawSeed';
+import { BINGO_VARIANTS, getVariant, getVariantNumbers, getVariantModes } from '../utils/bingoVariants';
+import { getCardVerifyPath } from '../utils/cardVerification';
 import './Admin.css';
 
-// All possible bingo numbers
-const ALL_NUMBERS = Array.from({ length: 75 }, (_, i) => i + 1);
+// Seed of the current verifiable draw, per room (kept until the next game starts)
+const drawSeedKey = (roomId) => `admin-draw-seed:${roomId}`;
+// Room controlled from this console
+const ADMIN_ROOM_KEY = 'admin-room';
+// Pause after a stage winner so players see the announcement before the next pattern
+const STAGE_ADVANCE_DELAY_MS = 8000;
+// Admin API calls authenticate with the console token, not the player's
+const ADMIN_SCOPE = { scope: 'admin' };
 
 function Admin() {
   const navigate = useNavigate();
@@ -19,13 +48,59 @@ function Admin() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
-  const [socket, setSocket] = useState(null);
-  const [gameState, setGameState] = useState({
-    status: 'waiting',
-    calledNumbers: [],
-    currentNumber: null,
-  });
-  const [availableNumbers, setAvailableNumbers] = useState(ALL_NUMBERS);
+
+  // Shared socket state - same source as the inline controls in BingoLive
+  const {
+    gameState,
+    isConnected: socketConnected,
+    isAdminSocket,
+    setAdminSession,
+    clearAdminSession,
+    applyGameState,
+    startGame: emitStartGame,
+    pauseGame: emitPauseGame,
+    resumeGame: emitResumeGame,
+    endGame: emitEndGame,
+    clearGame,
+    callNumber: emitCallNumber,
+    uncallNumber,
+    verifyWinner,
+    verifyWinners,
+    rejectWinner,
+    setStages,
+    advanceStage,
+    setVariant,
+    setAutoCall,
+    commitDraw,
+    revealDraw,
+    joinGame,
+    leaveGame,
+  } = useSocket();
+
+  // Room selection - admin events and REST resets are scoped to this room
+  const { rooms } = useRooms();
+  const [adminRoomId, setAdminRoomId] = useState(() => localStorage.getItem(ADMIN_ROOM_KEY) || config.defaultRoomId);
+
+  useEffect(() => {
+    joinGame(adminRoomId);
+    return () => leaveGame(adminRoomId);
+  }, [adminRoomId, joinGame, leaveGame]);
+
+  const handleRoomChange = (e) => {
+    localStorage.setItem(ADMIN_ROOM_KEY, e.target.value);
+    setAdminRoomId(e.target.value);
+    setDrawSeed(localStorage.getItem(drawSeedKey(e.target.value)));
+  };
+
+  // All possible bingo numbers of the room's variant (75 / 90 / 30 balls)
+  const variant = getVariant(gameState?.variant);
+  const allNumbers = useMemo(() => getVariantNumbers(variant), [variant]);
+
+  const calledNumbers = useMemo(() => gameState?.calledNumbers || [], [gameState?.calledNumbers]);
+  const availableNumbers = useMemo(
+    () => allNumbers.filter((n) => !calledNumbers.includes(n)),
+    [allNumbers, calledNumbers]
+  );
 
   // Card Search State
   const [cardSearchQuery, setCardSearchQuery] = useState('');
@@ -45,6 +120,38 @@ function Admin() {
     fullReset: false,
   });
 
+  // Selectable modes - built-in patterns plus the custom ones designed below
+  const { modes: gameModes, refresh: refreshGameModes } = useGameModes();
+  const patternOptions = gameModes.length > 0
+    ? gameModes.map((mode) => [mode.key, mode.name])
+    : Object.entries(PATTERN_NAMES);
+  // 90/30-ball tickets only play by lines
+  const getModeOptions = (targetVariant) => (
+    getVariantModes(targetVariant)?.map((mode) => [mode.key, mode.name]) || patternOptions
+  );
+  const modeOptions = getModeOptions(variant);
+  const customPatterns = useMemo(() => gameModes.filter((mode) => mode.custom), [gameModes]);
+
+  // Scheduled games of the selected room
+  const { games: scheduledGames, refresh: refreshSchedule } = useSchedule({ roomId: adminRoomId });
+  const [scheduleForm, setScheduleForm] = useState({
+    startsAt: '',
+    cardPrice: config.cardPrice,
+    variant: config.defaultVariant,
+    gameMode: 'fullCard',
+    title: '',
+  });
+  const [scheduleLoading, setScheduleLoading] = useState(false);
+  const [scheduleError, setScheduleError] = useState('');
+
+  // Verifiable draw: seed committed before start, revealed when the game ends
+  const [verifiableDraw, setVerifiableDraw] = useState(true);
+  const [drawSeed, setDrawSeed] = useState(() => localStorage.getItem(drawSeedKey(adminRoomId)));
+  const drawSequence = useMemo(
+    () => (drawSeed ? deriveDrawSequence(drawSeed, variant.totalNumbers) : null),
+    [drawSeed, variant.totalNumbers]
+  );
+
   // Check if admin session exists
   useEffect(() => {
     const adminToken = localStorage.getItem('admin-token');
@@ -53,50 +160,39 @@ function Admin() {
     }
   }, []);
 
-  // Connect to socket when authenticated
+  // Upgrade the shared socket to an admin session when authenticated
   useEffect(() => {
     if (!isAuthenticated) return;
+    setAdminSession(localStorage.getItem('admin-token'));
+  }, [isAuthenticated, setAdminSession]);
 
-    const adminToken = localStorage.getItem('admin-token');
-    const newSocket = io(config.wsUrl, {
-      auth: { token: adminToken, isAdmin: true },
-    });
-
-    newSocket.on('connect', () => {
-      console.log('Admin socket connected');
-    });
-
-    newSocket.on('game-state', (state) => {
-      setGameState(state);
-      updateAvailableNumbers(state.calledNumbers);
-    });
+  // Stops the auto-caller and clears the players' countdown (set below, once the caller exists)
+  const stopAutoCallBroadcastRef = useRef(() => {});
 
-    newSocket.on('number-called', (data) => {
-      setGameState((prev) => ({
-        ...prev,
-        currentNumber: data.number,
-        calledNumbers: [...prev.calledNumbers, data.number],
-      }));
-      setAvailableNumbers((prev) => prev.filter((n) => n !== data.number));
+  // Expired or revoked admin token - renew it once, otherwise back to the login form
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    return registerSession('admin', {
+      getToken: () => localStorage.getItem('admin-token'),
+      refresh: async () => {
+        const data = await refreshAdminSession(localStorage.getItem('admin-token'));
+        localStorage.setItem('admin-token', data.token);
+        setAdminSession(data.token);
+        return data.token;
+      },
+      onExpired: (message) => {
+        stopAutoCallBroadcastRef.current();
+        localStorage.removeItem('admin-token');
+        setIsAuthenticated(false);
+        clearAdminSession();
+        setError(message);
+      },
     });
-
-    setSocket(newSocket);
-
-    // SECURITY: Cleanup all listeners to prevent memory leaks
-    return () => {
-      newSocket.off('connect');
-      newSocket.off('game-state');
-      newSocket.off('number-called');
-      newSocket.close();
-    };
-  }, [isAuthenticated]);
+  }, [isAuthenticated, setAdminSession, clearAdminSession]);
 
   const validateToken = async (token) => {
     try {
-      const response = await fetch(`${config.apiUrl}/api/admin/validate`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      if (response.ok) {
+      if (await validateAdminToken(token)) {
         setIsAuthenticated(true);
       } else {
         localStorage.removeItem('admin-token');
@@ -126,21 +222,10 @@ function Admin() {
     }
 
     try {
-      const response = await fetch(`${config.apiUrl}/api/admin/login`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          password,
-          wallet: address, // CRITICAL: Send wallet for JWT token
-        }),
+      const data = await adminLogin({
+        password,
+        wallet: address, // CRITICAL: Send wallet for JWT token
       });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || 'Credenciales incorrectas');
-      }
-
-      const data = await response.json();
       localStorage.setItem('admin-token', data.token);
       setIsAuthenticated(true);
     } catch (err) {
@@ -149,69 +234,177 @@ function Admin() {
   };
 
   const handleLogout = () => {
+    stopAutoCallBroadcastRef.current();
     localStorage.removeItem('admin-token');
     setIsAuthenticated(false);
-    setSocket(null);
+    clearAdminSession();
     navigate('/');
   };
 
-  const updateAvailableNumbers = (called) => {
-    setAvailableNumbers(ALL_NUMBERS.filter((n) => !called.includes(n)));
-  };
-
   // Game controls with loading feedback
   const startGame = useCallback(() => {
-    if (socket && !controlsLoading.start) {
+    if (isAdminSocket && !controlsLoading.start) {
       setControlsLoading((prev) => ({ ...prev, start: true }));
-      socket.emit('admin:start-game');
-      setGameState((prev) => ({ ...prev, status: 'playing', calledNumbers: [], currentNumber: null }));
-      setAvailableNumbers(ALL_NUMBERS);
+
+      // Publish the seed hash before the first ball so it can't be changed later
+      if (verifiableDraw) {
+        const seed = generateSeed();
+        localStorage.setItem(drawSeedKey(adminRoomId), seed);
+        setDrawSeed(seed);
+        commitDraw({ commitment: hashSeed(seed), algorithm: DRAW_ALGORITHM });
+      } else {
+        localStorage.removeItem(drawSeedKey(adminRoomId));
+        setDrawSeed(null);
+      }
+
+      emitStartGame();
       setTimeout(() => setControlsLoading((prev) => ({ ...prev, start: false })), 500);
     }
-  }, [socket, controlsLoading.start]);
+  }, [isAdminSocket, controlsLoading.start, verifiableDraw, adminRoomId, commitDraw, emitStartGame]);
 
   const pauseGame = useCallback(() => {
-    if (socket && !controlsLoading.pause) {
+    if (isAdminSocket && !controlsLoading.pause) {
       setControlsLoading((prev) => ({ ...prev, pause: true }));
-      socket.emit('admin:pause-game');
-      setGameState((prev) => ({ ...prev, status: 'paused' }));
+      emitPauseGame();
       setTimeout(() => setControlsLoading((prev) => ({ ...prev, pause: false })), 500);
     }
-  }, [socket, controlsLoading.pause]);
+  }, [isAdminSocket, controlsLoading.pause, emitPauseGame]);
 
   const resumeGame = useCallback(() => {
-    if (socket && !controlsLoading.resume) {
+    if (isAdminSocket && !controlsLoading.resume) {
       setControlsLoading((prev) => ({ ...prev, resume: true }));
-      socket.emit('admin:resume-game');
-      setGameState((prev) => ({ ...prev, status: 'playing' }));
+      emitResumeGame();
       setTimeout(() => setControlsLoading((prev) => ({ ...prev, resume: false })), 500);
     }
-  }, [socket, controlsLoading.resume]);
+  }, [isAdminSocket, controlsLoading.resume, emitResumeGame]);
 
   const endGame = useCallback(() => {
-    if (socket && !controlsLoading.end && window.confirm('¿Estás seguro de terminar el juego?')) {
+    if (isAdminSocket && !controlsLoading.end && window.confirm('¿Estás seguro de terminar el juego?')) {
       setControlsLoading((prev) => ({ ...prev, end: true }));
-      socket.emit('admin:end-game');
-      setGameState((prev) => ({ ...prev, status: 'ended' }));
+      emitEndGame();
       setTimeout(() => setControlsLoading((prev) => ({ ...prev, end: false })), 500);
     }
-  }, [socket, controlsLoading.end]);
+  }, [isAdminSocket, controlsLoading.end, emitEndGame]);
 
   const callNumber = useCallback((number) => {
-    if (socket && gameState.status === 'playing' && !controlsLoading.callNumber) {
+    if (isAdminSocket && gameState.status === 'playing' && !controlsLoading.callNumber) {
       setControlsLoading((prev) => ({ ...prev, callNumber: true }));
-      socket.emit('admin:call-number', { number });
+      emitCallNumber(number);
       setTimeout(() => setControlsLoading((prev) => ({ ...prev, callNumber: false })), 300);
     }
-  }, [socket, gameState.status, controlsLoading.callNumber]);
+  }, [isAdminSocket, gameState.status, controlsLoading.callNumber, emitCallNumber]);
+
+  // Remove an incorrectly called number (playing or paused)
+  const handleUncallNumber = useCallback((number) => {
+    if (isGameInProgress(gameState.status) && window.confirm(`¿Anular el número ${number}? Se quitará de los números cantados.`)) {
+      uncallNumber(number);
+    }
+  }, [gameState.status, uncallNumber]);
 
   const callRandomNumber = useCallback(() => {
     if (availableNumbers.length > 0 && gameState.status === 'playing' && !controlsLoading.callNumber) {
-      const randomIndex = Math.floor(Math.random() * availableNumbers.length);
-      const number = availableNumbers[randomIndex];
+      // Verifiable draw takes the next ball from the committed sequence
+      const number = drawSequence
+        ? getNextDrawNumber(drawSequence, calledNumbers)
+        : availableNumbers[Math.floor(Math.random() * availableNumbers.length)];
       callNumber(number);
     }
-  }, [availableNumbers, gameState.status, callNumber, controlsLoading.callNumber]);
+  }, [availableNumbers, calledNumbers, drawSequence, gameState.status, callNumber, controlsLoading.callNumber]);
+
+  // Reveal the seed once the game is over so players can verify the draw
+  const revealedSeedRef = useRef(null);
+  useEffect(() => {
+    if (!isAdminSocket || gameState.status !== 'ended' || !drawSeed) return;
+    if (revealedSeedRef.current === drawSeed || gameState.draw?.seed === drawSeed) return;
+    revealedSeedRef.current = drawSeed;
+    revealDraw(drawSeed);
+  }, [isAdminSocket, gameState.status, gameState.draw?.seed, drawSeed, revealDraw]);
+
+  // Multi-stage games: once the current stage has verified winners, move on to the next one
+  const gameStages = useMemo(() => gameState.stages || [], [gameState.stages]);
+  const currentStageIndex = gameState.currentStage || 0;
+  const isStageWon = gameStages.length > 1
+    && currentStageIndex < gameStages.length - 1
+    && gameStages[currentStageIndex]?.winners.length > 0
+    && isGameInProgress(gameState.status);
+
+  useEffect(() => {
+    if (!isAdminSocket || !isStageWon) return undefined;
+    const timer = setTimeout(advanceStage, STAGE_ADVANCE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isAdminSocket, isStageWon, currentStageIndex, advanceStage]);
+
+  // 90-ball nights go one line → two lines → full house; 75-ball uses the ULTRA patterns
+  const classicStageModes = variant.modes || DEFAULT_STAGE_MODES;
+
+  // Stage editor - null while showing the stages saved on the server
+  const [stageDraft, setStageDraft] = useState(null);
+  const stageModes = stageDraft ?? gameStages.map((stage) => stage.gameMode);
+
+  const updateStageDraft = useCallback((updater) => {
+    setStageDraft((prev) => updater(prev ?? gameStages.map((stage) => stage.gameMode)));
+  }, [gameStages]);
+
+  const moveStage = useCallback((index, offset) => {
+    updateStageDraft((modes) => {
+      const next = [...modes];
+      const target = index + offset;
+      if (target < 0 || target >= next.length) return modes;
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }, [updateStageDraft]);
+
+  const saveStages = useCallback(() => {
+    setStages(stageModes);
+    setStageDraft(null);
+  }, [setStages, stageModes]);
+
+  // Automatic caller - holds while potential winners are pending verification
+  // and between stages
+  const autoCaller = useAutoCaller({
+    status: gameState.status,
+    potentialWinners: gameState.potentialWinners,
+    held: isStageWon,
+    onCall: callRandomNumber,
+  });
+  const { running: autoCallRunning, stop: stopAutoCall } = autoCaller;
+
+  // Stop once every number has been called
+  useEffect(() => {
+    if (autoCallRunning && availableNumbers.length === 0) {
+      stopAutoCall();
+    }
+  }, [autoCallRunning, availableNumbers.length, stopAutoCall]);
+
+  // Publish the schedule so players see the countdown (only after first use)
+  const hasPublishedAutoCallRef = useRef(false);
+  useEffect(() => {
+    if (!autoCaller.running && !hasPublishedAutoCallRef.current) return;
+    hasPublishedAutoCallRef.current = true;
+    setAutoCall({
+      enabled: autoCaller.isArmed,
+      intervalSeconds: autoCaller.intervalSeconds,
+      nextCallInMs: autoCaller.nextCallAt ? Math.max(0, autoCaller.nextCallAt - Date.now()) : null,
+    });
+  }, [autoCaller.running, autoCaller.isArmed, autoCaller.intervalSeconds, autoCaller.nextCallAt, setAutoCall]);
+
+  // Must run while the socket is still admin, so before the session is cleared
+  const stopAutoCallBroadcast = useCallback(() => {
+    stopAutoCall();
+    if (!hasPublishedAutoCallRef.current) return;
+    hasPublishedAutoCallRef.current = false;
+    setAutoCall({ enabled: false, intervalSeconds: autoCaller.intervalSeconds });
+  }, [stopAutoCall, setAutoCall, autoCaller.intervalSeconds]);
+
+  useEffect(() => {
+    stopAutoCallBroadcastRef.current = stopAutoCallBroadcast;
+  }, [stopAutoCallBroadcast]);
+
+  // Leaving the console must not leave players with a countdown stuck at 0
+  useEffect(() => {
+    return () => stopAutoCallBroadcastRef.current();
+  }, []);
 
   // Card search function
   const handleCardSearch = useCallback(async (e) => {
@@ -223,17 +416,7 @@ function Admin() {
     setSelectedCard(null);
 
     try {
-      const adminToken = localStorage.getItem('admin-token');
-      const response = await fetch(`${config.apiUrl}/api/admin/cards/search?query=${encodeURIComponent(cardSearchQuery)}`, {
-        headers: { Authorization: `Bearer ${adminToken}` },
-      });
-
-      if (!response.ok) {
-        throw new Error('Error buscando cartones');
-      }
-
-      const data = await response.json();
-      setSearchResults(data.cards || []);
+      setSearchResults(await searchCards(cardSearchQuery, ADMIN_SCOPE));
     } catch (err) {
       console.error('Error searching cards:', err);
       setError(err.message);
@@ -245,17 +428,7 @@ function Admin() {
   // Get card details with winner check
   const handleSelectCard = useCallback(async (cardId) => {
     try {
-      const adminToken = localStorage.getItem('admin-token');
-      const response = await fetch(`${config.apiUrl}/api/admin/cards/${cardId}/details`, {
-        headers: { Authorization: `Bearer ${adminToken}` },
-      });
-
-      if (!response.ok) {
-        throw new Error('Error obteniendo detalles del cartón');
-      }
-
-      const data = await response.json();
-      setSelectedCard(data);
+      setSelectedCard(await getCardDetails(cardId, ADMIN_SCOPE));
     } catch (err) {
       console.error('Error getting card details:', err);
       setError(err.message);
@@ -264,10 +437,10 @@ function Admin() {
 
   // Verify winner from selected card
   const handleVerifySelectedCard = useCallback(() => {
-    if (socket && selectedCard) {
-      socket.emit('admin:verify-winner', { cardId: selectedCard.card.id });
+    if (selectedCard) {
+      verifyWinner(selectedCard.card.id);
     }
-  }, [socket, selectedCard]);
+  }, [verifyWinner, selectedCard]);
 
   // Reset game state only
   const handleResetGame = useCallback(async () => {
@@ -275,27 +448,15 @@ function Admin() {
 
     setControlsLoading((prev) => ({ ...prev, resetGame: true }));
     try {
-      const adminToken = localStorage.getItem('admin-token');
-      const response = await fetch(`${config.apiUrl}/api/admin/game/reset`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${adminToken}`,
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (!response.ok) throw new Error('Error al reiniciar juego');
-
-      const data = await response.json();
-      setGameState(data.state);
-      setAvailableNumbers(ALL_NUMBERS);
+      const data = await resetGame({ roomId: adminRoomId }, ADMIN_SCOPE);
+      applyGameState(data.state);
       setError('');
     } catch (err) {
       setError(err.message);
     } finally {
       setControlsLoading((prev) => ({ ...prev, resetGame: false }));
     }
-  }, []);
+  }, [applyGameState, adminRoomId]);
 
   // Reset cards only
   const handleResetCards = useCallback(async () => {
@@ -303,19 +464,7 @@ function Admin() {
 
     setControlsLoading((prev) => ({ ...prev, resetCards: true }));
     try {
-      const adminToken = localStorage.getItem('admin-token');
-      const response = await fetch(`${config.apiUrl}/api/admin/cards/reset`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${adminToken}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ generateCount: 100 }),
-      });
-
-      if (!response.ok) throw new Error('Error al reiniciar cartones');
-
-      const data = await response.json();
+      const data = await resetCards({ roomId: adminRoomId, generateCount: 100 }, ADMIN_SCOPE);
       alert(`Cartones reiniciados. Eliminados: ${data.deletedPurchased}, Disponibles: ${data.availableCards}`);
       setError('');
     } catch (err) {
@@ -323,7 +472,7 @@ function Admin() {
     } finally {
       setControlsLoading((prev) => ({ ...prev, resetCards: false }));
     }
-  }, []);
+  }, [adminRoomId]);
 
   // Full reset - game AND cards
   const handleFullReset = useCallback(async () => {
@@ -331,21 +480,8 @@ function Admin() {
 
     setControlsLoading((prev) => ({ ...prev, fullReset: true }));
     try {
-      const adminToken = localStorage.getItem('admin-token');
-      const response = await fetch(`${config.apiUrl}/api/admin/full-reset`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${adminToken}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ generateCount: 100 }),
-      });
-
-      if (!response.ok) throw new Error('Error en reset completo');
-
-      const data = await response.json();
-      setGameState(data.game);
-      setAvailableNumbers(ALL_NUMBERS);
+      const data = await fullReset({ roomId: adminRoomId, generateCount: 100 }, ADMIN_SCOPE);
+      applyGameState(data.game);
       alert(`Reset completo exitoso.\nCartones eliminados: ${data.cards.deletedPurchased}\nCartones disponibles: ${data.cards.availableCards}`);
       setError('');
     } catch (err) {
@@ -353,7 +489,61 @@ function Admin() {
     } finally {
       setControlsLoading((prev) => ({ ...prev, fullReset: false }));
     }
-  }, []);
+  }, [applyGameState, adminRoomId]);
+
+  // Schedule a game (start time, card price and mode)
+  const handleScheduleGame = useCallback(async (e) => {
+    e.preventDefault();
+    setScheduleError('');
+
+    const startsAt = new Date(scheduleForm.startsAt);
+    if (!scheduleForm.startsAt || Number.isNaN(startsAt.getTime()) || startsAt <= new Date()) {
+      setScheduleError('Elige una fecha y hora futura');
+      return;
+    }
+
+    setScheduleLoading(true);
+    try {
+      await scheduleGame({
+        roomId: adminRoomId,
+        startsAt: startsAt.toISOString(),
+        cardPrice: Number(scheduleForm.cardPrice),
+        variant: scheduleForm.variant,
+        gameMode: scheduleForm.gameMode,
+        title: scheduleForm.title.trim() || null,
+      }, ADMIN_SCOPE);
+
+      setScheduleForm((prev) => ({ ...prev, startsAt: '', title: '' }));
+      refreshSchedule();
+    } catch (err) {
+      setScheduleError(err.message);
+    } finally {
+      setScheduleLoading(false);
+    }
+  }, [scheduleForm, adminRoomId, refreshSchedule]);
+
+  // Cancel a scheduled game
+  const handleCancelScheduled = useCallback(async (gameId) => {
+    if (!window.confirm('¿Cancelar esta partida programada?')) return;
+
+    try {
+      await cancelScheduledGame(gameId, ADMIN_SCOPE);
+      refreshSchedule();
+    } catch (err) {
+      setScheduleError(err.message);
+    }
+  }, [refreshSchedule]);
+
+  // Save a custom pattern - errors are shown by the designer
+  const handleSavePattern = useCallback(async ({ name, grid }) => {
+    await savePattern({ name, grid }, ADMIN_SCOPE);
+    refreshGameModes();
+  }, [refreshGameModes]);
+
+  const handleDeletePattern = useCallback(async (patternKey) => {
+    await deletePattern(patternKey, ADMIN_SCOPE);
+    refreshGameModes();
+  }, [refreshGameModes]);
 
   // Login form - SECURITY: Requires wallet + password
   if (!isAuthenticated) {
@@ -405,17 +595,38 @@ function Admin() {
     );
   }
 
-  const { status, calledNumbers, currentNumber } = gameState;
+  const {
+    status = 'waiting',
+    currentNumber = null,
+    gameMode = 'fullCard',
+    potentialWinners = [],
+  } = gameState || {};
 
   return (
     <div className="container admin">
       <header className="admin-header">
         <h1>Panel de Administrador</h1>
+        <label className="admin-room-select">
+          Sala
+          <select value={adminRoomId} onChange={handleRoomChange} className="input">
+            {!rooms.some((room) => room.id === adminRoomId) && (
+              <option value={adminRoomId}>{adminRoomId}</option>
+            )}
+            {rooms.map((room) => (
+              <option key={room.id} value={room.id}>
+                {room.name || room.id} ({room.playerCount ?? 0} jugadores)
+              </option>
+            ))}
+          </select>
+        </label>
         <button onClick={handleLogout} className="btn-logout">
           Cerrar Sesión
         </button>
       </header>
 
+      {/* Connection / resync notice */}
+      <ConnectionBanner />
+
       {/* Game Status */}
       <section className="game-status-section card">
         <div className="status-badge" data-status={status}>
@@ -425,6 +636,41 @@ function Admin() {
           {status === 'ended' && 'Terminado'}
         </div>
 
+        <div className="session-info">
+          <span className={`socket-status ${socketConnected && isAdminSocket ? 'online' : 'offline'}`}>
+            {!socketConnected ? 'Socket desconectado' : isAdminSocket ? 'Sesión admin activa' : 'Conectando como admin...'}
+          </span>
+          <span className="game-mode-info">Modo: {gameState?.patternInfo?.name || gameMode}</span>
+          {gameState.draw?.commitment && (
+            <span className="draw-commitment-info" title={gameState.draw.commitment}>
+              Compromiso: {gameState.draw.commitment.slice(0, 10)}…{gameState.draw.commitment.slice(-6)}
+              {gameState.draw.seed ? ' (semilla revelada)' : ''}
+            </span>
+          )}
+        </div>
+
+        {(status === 'waiting' || status === 'ended') && (
+          <label className="variant-select">
+            Variante
+            <select className="input" value={variant.key} onChange={(e) => setVariant(e.target.value)}>
+              {Object.values(BINGO_VARIANTS).map((option) => (
+                <option key={option.key} value={option.key}>{option.name} - {option.description}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        {status === 'waiting' && (
+          <label className="verifiable-draw-toggle">
+            <input
+              type="checkbox"
+              checked={verifiableDraw}
+              onChange={(e) => setVerifiableDraw(e.target.checked)}
+            />
+            Sorteo verificable (publica el hash de la semilla al iniciar)
+          </label>
+        )}
+
         <div className="game-controls">
           {status === 'waiting' && (
             <button
@@ -472,17 +718,149 @@ function Admin() {
             </>
           )}
           {status === 'ended' && (
-            <button
-              onClick={startGame}
-              className="btn-primary btn-control"
-              disabled={controlsLoading.start}
-            >
-              {controlsLoading.start ? 'Iniciando...' : 'Nuevo Juego'}
-            </button>
+            <>
+              <button
+                onClick={clearGame}
+                className="btn-control btn-warning"
+              >
+                Limpiar Juego
+              </button>
+              <button
+                onClick={startGame}
+                className="btn-primary btn-control"
+                disabled={controlsLoading.start}
+              >
+                {controlsLoading.start ? 'Iniciando...' : 'Nuevo Juego'}
+              </button>
+            </>
           )}
         </div>
       </section>
 
+      {/* Stages - ordered prizes in a single game (line, pattern, full card...) */}
+      <section className="stages-section card">
+        <h2>Etapas de la Partida</h2>
+        {status === 'waiting' || status === 'ended' ? (
+          <>
+            <p className="stages-note">
+              Los números cantados se mantienen entre etapas. Sin etapas, la partida usa un solo modo.
+            </p>
+            {stageModes.length > 0 && (
+              <ol className="stage-editor-list">
+                {stageModes.map((mode, index) => (
+                  <li key={index}>
+                    <span className="stage-editor-step">{index + 1}.</span>
+                    <select
+                      className="input"
+                      value={mode}
+                      onChange={(e) => updateStageDraft((modes) => modes.map((m, i) => (i === index ? e.target.value : m)))}
+                    >
+                      {modeOptions.map(([key, name]) => (
+                        <option key={key} value={key}>{name}</option>
+                      ))}
+                    </select>
+                    <button type="button" className="btn-control" onClick={() => moveStage(index, -1)} disabled={index === 0}>↑</button>
+                    <button type="button" className="btn-control" onClick={() => moveStage(index, 1)} disabled={index === stageModes.length - 1}>↓</button>
+                    <button
+                      type="button"
+                      className="btn-control btn-danger"
+                      onClick={() => updateStageDraft((modes) => modes.filter((_, i) => i !== index))}
+                    >
+                      Quitar
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            )}
+            <div className="stage-editor-actions">
+              <button type="button" className="btn-control" onClick={() => updateStageDraft((modes) => [...modes, variant.defaultMode])}>
+                Añadir etapa
+              </button>
+              {classicStageModes.length > 1 && (
+                <button type="button" className="btn-control" onClick={() => setStageDraft([...classicStageModes])}>
+                  {classicStageModes.map((mode) => getPatternName(mode) || mode).join(' → ')}
+                </button>
+              )}
+              {stageDraft && (
+                <>
+                  <button type="button" className="btn-control btn-warning" onClick={() => setStageDraft(null)}>
+                    Descartar
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-primary btn-control"
+                    onClick={saveStages}
+                    disabled={stageModes.length === 1}
+                  >
+                    Guardar etapas
+                  </button>
+                </>
+              )}
+            </div>
+          </>
+        ) : gameStages.length > 1 ? (
+          <>
+            <GameStages stages={gameStages} currentStage={currentStageIndex} />
+            {isStageWon && (
+              <div className="stage-advance">
+                <span>Etapa completada. La siguiente empieza en unos segundos…</span>
+                <button type="button" className="btn-primary btn-control" onClick={advanceStage}>
+                  Siguiente etapa
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          <p className="stages-note">Partida de un solo modo.</p>
+        )}
+      </section>
+
+      {/* Potential Winners - same events as BingoLive */}
+      {potentialWinners.length > 0 && isGameInProgress(status) && (
+        <section className="potential-winners-section card">
+          <h2>Posibles Ganadores ({potentialWinners.length})</h2>
+          {groupByWinningNumber(potentialWinners).map((group) => (
+            <div key={group.number ?? group.winners[0].cardId} className="potential-winners-list">
+              {/* Several cards completed on the same ball - verifying them together splits the pot */}
+              {group.winners.length > 1 && (
+                <div className="pw-group-header">
+                  <span>Bola {group.number}: {group.winners.length} cartones · bote compartido</span>
+                  <button
+                    onClick={() => verifyWinners(group.winners.map((pw) => pw.cardId))}
+                    className="btn-primary btn-control"
+                  >
+                    Verificar todos ({group.winners.length})
+                  </button>
+                </div>
+              )}
+              {group.winners.map((pw) => (
+                <div key={pw.cardId} className="potential-winner-row">
+                  <span className="pw-owner">@{pw.username || 'Anónimo'}</span>
+                  <a
+                    className="pw-card"
+                    href={getCardVerifyPath(pw.cardId)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    title="Abrir la página pública del cartón"
+                  >
+                    #{pw.cardId?.slice(-8)}
+                  </a>
+                  <span className="pw-pattern">{pw.pattern}</span>
+                  <div className="pw-buttons">
+                    <button onClick={() => verifyWinner(pw.cardId)} className="btn-primary btn-control">
+                      Verificar
+                    </button>
+                    <button onClick={() => rejectWinner(pw.cardId)} className="btn-control btn-danger">
+                      Rechazar
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))}
+        </section>
+      )}
+
       {/* Reset Controls */}
       <section className="reset-section card">
         <h2>Controles de Reset</h2>
@@ -514,16 +892,117 @@ function Admin() {
         </p>
       </section>
 
+      {/* Custom Patterns */}
+      <section className="patterns-section card">
+        <h2>Patrones Personalizados</h2>
+        <PatternDesigner
+          customPatterns={customPatterns}
+          onSave={handleSavePattern}
+          onDelete={handleDeletePattern}
+        />
+      </section>
+
+      {/* Scheduled Games */}
+      <section className="schedule-section card">
+        <h2>Partidas Programadas</h2>
+        <form className="schedule-form" onSubmit={handleScheduleGame}>
+          <label>
+            Inicio
+            <input
+              type="datetime-local"
+              className="input"
+              value={scheduleForm.startsAt}
+              onChange={(e) => setScheduleForm((prev) => ({ ...prev, startsAt: e.target.value }))}
+              required
+            />
+          </label>
+          <label>
+            Precio por cartón (USDC)
+            <input
+              type="number"
+              className="input"
+              min="0.01"
+              step="0.01"
+              value={scheduleForm.cardPrice}
+              onChange={(e) => setScheduleForm((prev) => ({ ...prev, cardPrice: e.target.value }))}
+              required
+            />
+          </label>
+          <label>
+            Variante
+            <select
+              className="input"
+              value={scheduleForm.variant}
+              onChange={(e) => setScheduleForm((prev) => ({
+                ...prev,
+                variant: e.target.value,
+                gameMode: getVariant(e.target.value).defaultMode,
+              }))}
+            >
+              {Object.values(BINGO_VARIANTS).map((option) => (
+                <option key={option.key} value={option.key}>{option.name}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Modo
+            <select
+              className="input"
+              value={scheduleForm.gameMode}
+              onChange={(e) => setScheduleForm((prev) => ({ ...prev, gameMode: e.target.value }))}
+            >
+              {getModeOptions(getVariant(scheduleForm.variant)).map(([key, name]) => (
+                <option key={key} value={key}>{name}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Título (opcional)
+            <input
+              type="text"
+              className="input"
+              value={scheduleForm.title}
+              onChange={(e) => setScheduleForm((prev) => ({ ...prev, title: e.target.value }))}
+              placeholder="Bingo de los viernes"
+            />
+          </label>
+          <button type="submit" className="btn-primary" disabled={scheduleLoading}>
+            {scheduleLoading ? 'Programando...' : 'Programar'}
+          </button>
+        </form>
+        {scheduleError && <div className="error-text">{scheduleError}</div>}
+
+        {scheduledGames.length > 0 ? (
+          <ul className="schedule-list">
+            {scheduledGames.map((game) => (
+              <li key={game.id}>
+                <span>
+                  {new Date(game.startsAt).toLocaleString('es-ES', { dateStyle: 'medium', timeStyle: 'short' })}
+                  {' · '}{getPatternName(game.gameMode) || game.gameMode}
+                  {' · '}${game.cardPrice}
+                  {game.title && ` · ${game.title}`}
+                </span>
+                <button className="btn-control btn-danger" onClick={() => handleCancelScheduled(game.id)}>
+                  Cancelar
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="reset-note">No hay partidas programadas en esta sala.</p>
+        )}
+      </section>
+
       {/* Current Number */}
       <section className="current-section">
         <h2>Número Actual</h2>
         {currentNumber ? (
-          <NumberBall number={currentNumber} size="huge" />
+          <NumberBall number={currentNumber} size="huge" variant={variant.key} />
         ) : (
           <div className="no-number">-</div>
         )}
         <div className="called-count">
-          {calledNumbers.length} / 75 números cantados
+          {calledNumbers.length} / {variant.totalNumbers} números cantados
         </div>
       </section>
 
@@ -540,18 +1019,68 @@ function Admin() {
         </section>
       )}
 
+      {/* Automatic Caller */}
+      {isGameInProgress(status) && (
+        <section className="auto-call-section card">
+          <h2>Cantador Automático</h2>
+          <div className="auto-call-controls">
+            <label className="auto-call-interval">
+              Cada
+              <input
+                type="range"
+                min={config.autoCall.minIntervalSeconds}
+                max={config.autoCall.maxIntervalSeconds}
+                value={autoCaller.intervalSeconds}
+                onChange={(e) => autoCaller.setIntervalSeconds(e.target.value)}
+              />
+              <strong>{autoCaller.intervalSeconds}s</strong>
+            </label>
+            {autoCaller.running ? (
+              <button onClick={autoCaller.stop} className="btn-control btn-danger">
+                Detener
+              </button>
+            ) : (
+              <button
+                onClick={autoCaller.start}
+                className="btn-primary btn-control"
+                disabled={availableNumbers.length === 0}
+              >
+                Iniciar
+              </button>
+            )}
+          </div>
+          {autoCaller.isHeldForWinner && (
+            <p className="auto-call-note">
+              {isStageWon ? 'En pausa: cambiando a la siguiente etapa' : 'En pausa: hay posibles ganadores por verificar'}
+            </p>
+          )}
+          {autoCaller.running && !autoCaller.isHeldForWinner && status === 'paused' && (
+            <p className="auto-call-note">En pausa: el juego está pausado</p>
+          )}
+          {autoCaller.nextCallAt && (
+            <NextBallCountdown
+              nextCallAt={autoCaller.nextCallAt}
+              intervalSeconds={autoCaller.intervalSeconds}
+            />
+          )}
+        </section>
+      )}
+
       {/* Number Selector */}
       <section className="numbers-section">
         <h2>Seleccionar Número</h2>
+        <p className="numbers-hint">Clic para cantar, clic en un número cantado para quitarlo</p>
         <div className="numbers-grid">
-          {ALL_NUMBERS.map((num) => {
+          {allNumbers.map((num) => {
             const isCalled = calledNumbers.includes(num);
+            const canUncall = isCalled && isGameInProgress(status);
             return (
               <button
                 key={num}
-                onClick={() => !isCalled && callNumber(num)}
-                className={`number-btn ${isCalled ? 'called' : ''} ${num === currentNumber ? 'current' : ''}`}
-                disabled={isCalled || status !== 'playing'}
+                onClick={() => (isCalled ? handleUncallNumber(num) : callNumber(num))}
+                className={`number-btn ${isCalled ? 'called' : ''} ${num === currentNumber ? 'current' : ''} ${canUncall ? 'uncallable' : ''}`}
+                disabled={isCalled ? !canUncall : status !== 'playing'}
+                title={canUncall ? 'Clic para quitar este número' : undefined}
               >
                 {num}
               </button>
@@ -568,7 +1097,7 @@ function Admin() {
             <p className="no-history">No hay números cantados</p>
           ) : (
             calledNumbers.map((num, index) => (
-              <NumberBall key={num} number={num} size="small" />
+              <NumberBall key={num} number={num} size="small" variant={variant.key} />
             ))
           )}
         </div>
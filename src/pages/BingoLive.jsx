@@ -1,22 +1,37 @@
-import { useEffect, useState, useCallback, useRef } from 'react';
+import { useEffect, useState, useCallback, useRef, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useSocket } from '../context/SocketContext';
 import { useAuth } from '../context/AuthContext';
-import { BingoCard, NumberBall, GameModeSelector, WinnersHistory, UsersHistory } from '../components/bingo';
+import { useGameModes } from '../hooks';
+import { BingoCard, NumberBall, GameModeSelector, WinnersHistory, UsersHistory, NextBallCountdown, DrawVerification, ConnectionBanner, ScheduledGames, PrizePool, PayoutStatus, GameStages } from '../components/bingo';
 import { AnimatedBackground, GlassCard } from '../components/ui';
 import { config } from '../config';
+import { getMyCards, searchCard, setGameMode as saveGameMode, resetGame, resetCards, fullReset, isAbortError } from '../services/api';
+import { COLUMNS, evaluatePattern } from '../utils/bingoPatterns';
+import { getVariant, getBoardColumns, getVariantModes, groupTicketsByStrip } from '../utils/bingoVariants';
+import { getPrizePool, splitPrizePool, formatUsdc } from '../utils/prizePool';
+import { groupByWinningNumber } from '../utils/winners';
+import { isGameInProgress } from '../utils/gameStatus';
 import './BingoLive.css';
 
-// All 75 bingo numbers for reset
-const ALL_NUMBERS_FLAT = Array.from({ length: 75 }, (_, i) => i + 1);
+// Missing numbers listed per card; the rest are summarized as "+N"
+const MAX_MISSING_LISTED = 8;
 
-// All possible bingo numbers organized by column
-const ALL_NUMBERS = {
-  B: Array.from({ length: 15 }, (_, i) => i + 1),
-  I: Array.from({ length: 15 }, (_, i) => i + 16),
-  N: Array.from({ length: 15 }, (_, i) => i + 31),
-  G: Array.from({ length: 15 }, (_, i) => i + 46),
-  O: Array.from({ length: 15 }, (_, i) => i + 61),
+// "3, 17, 42 +5" - lowest numbers first
+function formatMissingNumbers(numbers) {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const listed = sorted.slice(0, MAX_MISSING_LISTED).join(', ');
+  const hidden = sorted.length - MAX_MISSING_LISTED;
+  return hidden > 0 ? `${listed} +${hidden}` : listed;
+}
+
+// Claim button labels by claim state
+const CLAIM_LABELS = {
+  pending: 'Reclamo enviado...',
+  accepted: '¡Ganador confirmado!',
+  rejected: 'Rechazado - reclamar de nuevo',
+  failed: 'Sin respuesta - reclamar de nuevo',
 };
 
 // Christmas Winter themed column colors (matching snowballs)
@@ -28,7 +43,15 @@ const COLUMN_COLORS = {
   O: '#ffd700',  // Gold
 };
 
+// Latency label for the connection badge
+function formatLatency(latency) {
+  if (latency === null) return null;
+  return Number.isFinite(latency) ? `${latency} ms` : 'sin respuesta';
+}
+
 function BingoLive() {
+  const { roomId: routeRoomId } = useParams();
+  const roomId = routeRoomId || config.defaultRoomId;
   const {
     gameState,
     isConnected,
@@ -42,11 +65,19 @@ function BingoLive() {
     callNumber,
     uncallNumber,
     verifyWinner,
+    verifyWinners,
     rejectWinner,
     setGameMode,
     reconnectWithAuth,
+    claims,
+    claimBingo,
+    syncStatus,
+    latency,
+    connectionQuality,
+    reconnectAttempt,
+    reconnectFailed,
   } = useSocket();
-  const { user, isLoggedIn, isAdmin } = useAuth();
+  const { user, isLoggedIn, isAdmin, preferences, updatePreferences } = useAuth();
   const [myCards, setMyCards] = useState([]);
   const [loadingCards, setLoadingCards] = useState(true);
   const [cardSearchQuery, setCardSearchQuery] = useState('');
@@ -55,6 +86,10 @@ function BingoLive() {
   const [searchError, setSearchError] = useState('');
   const [showWinnerBanner, setShowWinnerBanner] = useState(false);
 
+  // Manual daubing: numbers tapped by the player, per card id
+  const [daubs, setDaubs] = useState({});
+  const daubMode = preferences.autoDaub ? 'auto' : 'manual';
+
   // Admin reset controls
   const [resetLoading, setResetLoading] = useState({
     resetGame: false,
@@ -108,30 +143,30 @@ function BingoLive() {
 
   // Handle admin uncalling a number (removing incorrectly called number)
   const handleUncallNumber = useCallback((number) => {
-    if (isAdminRef.current && (gameStatusRef.current === 'playing' || gameStatusRef.current === 'paused')) {
+    if (isAdminRef.current && isGameInProgress(gameStatusRef.current)) {
       if (calledNumbersRef.current.includes(number)) {
         uncallNumber(number);
       }
     }
   }, [uncallNumber]);
 
-  // Join game room on mount - use refs to prevent re-running on every render
+  // Join the room from the URL - re-joins when the room or the socket changes
   useEffect(() => {
-    if (!hasJoinedGameRef.current) {
-      hasJoinedGameRef.current = true;
-      joinGame('main');
-    }
+    joinGame(roomId);
+    hasJoinedGameRef.current = true;
 
     return () => {
       if (hasJoinedGameRef.current) {
-        leaveGame('main');
+        leaveGame(roomId);
         hasJoinedGameRef.current = false;
       }
     };
-  }, []); // Empty deps - only run on mount/unmount
+  }, [roomId, joinGame, leaveGame]);
 
   // Fetch user's cards
   useEffect(() => {
+    const controller = new AbortController();
+
     async function fetchMyCards() {
       if (!user?.token) {
         setLoadingCards(false);
@@ -139,34 +174,134 @@ function BingoLive() {
       }
 
       try {
-        const response = await fetch(`${config.apiUrl}/api/cards/my-cards`, {
-          headers: {
-            Authorization: `Bearer ${user.token}`,
-          },
-        });
-        if (!response.ok) throw new Error('Error fetching cards');
-        const data = await response.json();
-        setMyCards(data.cards || []);
+        setMyCards(await getMyCards({ roomId }, { signal: controller.signal }));
       } catch (err) {
+        if (isAbortError(err)) return;
         console.error(err);
       } finally {
-        setLoadingCards(false);
+        if (!controller.signal.aborted) setLoadingCards(false);
       }
     }
 
     fetchMyCards();
-  }, [user]);
+    return () => controller.abort();
+  }, [user, roomId]);
 
   const {
     status = 'waiting',
     calledNumbers = [],
     currentNumber = null,
     winner = null,
+    winners = [],
     potentialWinners = [],
     gameMode = 'fullCard',
     showContinueMessage = false,
+    autoCall = null,
+    draw = null,
+    gameId = null,
+    stages = [],
+    currentStage = 0,
   } = gameState || {};
 
+  // 75 / 90 / 30-ball variant: board columns, card layout and selectable modes
+  const variant = getVariant(gameState?.variant);
+  const boardColumns = useMemo(() => getBoardColumns(variant), [variant]);
+  const variantModes = useMemo(() => getVariantModes(variant), [variant]);
+
+  // 90-ball tickets come in strips of 6 - label each ticket with its strip
+  const ticketStrips = useMemo(() => {
+    const strips = new Map();
+    if (!variant.ticketsPerStrip) return strips;
+    groupTicketsByStrip(myCards).forEach((group, stripIndex) => {
+      if (!group.stripId) return;
+      group.cards.forEach((card, position) => {
+        strips.set(card.id, { number: stripIndex + 1, position: position + 1, size: group.cards.length });
+      });
+    });
+    return strips;
+  }, [variant, myCards]);
+
+  // Multi-stage game: the game keeps going after each stage winner until the last stage
+  const isMultiStage = stages.length > 1;
+  const activeStage = isMultiStage ? stages[currentStage] : null;
+  const nextStage = isMultiStage ? stages[currentStage + 1] : null;
+
+  // Prize pool: cards sold × card price minus the house fee
+  const prizePool = getPrizePool(gameState);
+  // Prize of the stage just won - the whole pot only in single-stage games.
+  // Each stage gets its own part of the pot, so without the server's split nothing is shown.
+  const stagePrize = isMultiStage ? stages[currentStage]?.prize ?? null : prizePool?.net ?? null;
+  // Co-winners on the same ball split the stage prize
+  const winnerShares = stagePrize != null ? splitPrizePool(stagePrize, winners.length) : [];
+  const potentialWinnerGroups = useMemo(() => groupByWinningNumber(potentialWinners), [potentialWinners]);
+
+  // Clear manual daubs when the called numbers are wiped (new game / cleared game)
+  useEffect(() => {
+    if (calledNumbers.length === 0) {
+      setDaubs({});
+    }
+  }, [calledNumbers.length]);
+
+  // Toggle a daub on one of my cards
+  const handleDaub = useCallback((card, number) => {
+    setDaubs((prev) => {
+      const current = prev[card.id] || [];
+      return {
+        ...prev,
+        [card.id]: current.includes(number)
+          ? current.filter((n) => n !== number)
+          : [...current, number],
+      };
+    });
+  }, []);
+
+  const handleToggleAutoDaub = useCallback(() => {
+    updatePreferences({ autoDaub: !preferences.autoDaub });
+  }, [updatePreferences, preferences.autoDaub]);
+
+  // Selectable modes - loading them registers the admin's custom pattern grids
+  const { modes: gameModes, loading: gameModesLoading } = useGameModes();
+
+  // Grid of the active custom pattern; custom modes load asynchronously
+  const customGrid = useMemo(() => {
+    return gameModes.find((mode) => mode.custom && mode.key === gameMode)?.grid ?? null;
+  }, [gameModes, gameMode]);
+
+  // Rank my cards by how many cells they still need for the current mode.
+  // Recomputed on every number-called / number-uncalled (and daub); ties keep purchase order.
+  const rankedCards = useMemo(() => {
+    const called = new Set(calledNumbers);
+    return myCards
+      .map((card, order) => {
+        // Manual daubing: only the called numbers the player daubed count
+        const marked = daubMode === 'manual' ? (daubs[card.id] || []).filter((n) => called.has(n)) : called;
+        return {
+          card,
+          order,
+          result: evaluatePattern(card.numbers, marked, gameMode, customGrid),
+        };
+      })
+      .sort((a, b) => {
+        const missingA = a.result?.missingCount ?? Infinity;
+        const missingB = b.result?.missingCount ?? Infinity;
+        return missingA - missingB || a.order - b.order;
+      });
+  }, [myCards, calledNumbers, daubMode, daubs, gameMode, customGrid]);
+
+  const isGameActive = isGameInProgress(status);
+
+  // A card can be claimed once the local pattern check passes and no claim is in flight
+  const canClaim = useCallback((cardId, result) => {
+    const claim = claims[cardId];
+    return isGameActive && !!result?.isComplete && claim !== 'pending' && claim !== 'accepted';
+  }, [claims, isGameActive]);
+
+  // Local pattern check for the player's own cards (before the server's potential-winner)
+  const myBingoCards = useMemo(() => {
+    if (!isGameActive) return [];
+    return rankedCards.filter(({ result }) => result?.isComplete).map(({ card }) => card);
+  }, [rankedCards, isGameActive]);
+
   // Track previous status to detect when game ends with a winner (real-time announcement)
   const prevStatusRef = useRef(status);
   useEffect(() => {
@@ -175,13 +310,22 @@ function BingoLive() {
     if (prevStatusRef.current !== 'ended' && status === 'ended' && winner?.cardId) {
       setShowWinnerBanner(true);
     }
-    // Hide banner when a new game starts
-    if (status === 'playing' || status === 'waiting') {
+    // Hide banner when a new game starts (stage winners are announced while playing)
+    if (prevStatusRef.current !== status && (status === 'playing' || status === 'waiting')) {
       setShowWinnerBanner(false);
     }
     prevStatusRef.current = status;
   }, [status, winner]);
 
+  // Stage winners are announced mid-game - show the banner when they arrive
+  const [prevWinnerCount, setPrevWinnerCount] = useState(winners.length);
+  if (prevWinnerCount !== winners.length) {
+    setPrevWinnerCount(winners.length);
+    if (isMultiStage && status !== 'ended' && winners.length > prevWinnerCount) {
+      setShowWinnerBanner(true);
+    }
+  }
+
   // Search for a card by ID
   const handleCardSearch = useCallback(async (e) => {
     e.preventDefault();
@@ -192,22 +336,7 @@ function BingoLive() {
     setSearchedCard(null);
 
     try {
-      const response = await fetch(
-        `${config.apiUrl}/api/admin/cards/search?cardId=${encodeURIComponent(cardSearchQuery.trim())}`,
-        {
-          headers: {
-            Authorization: `Bearer ${user.token}`,
-          },
-        }
-      );
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Cartón no encontrado');
-      }
-
-      const data = await response.json();
-      setSearchedCard(data);
+      setSearchedCard(await searchCard(cardSearchQuery.trim()));
     } catch (err) {
       setSearchError(err.message);
     } finally {
@@ -219,46 +348,21 @@ function BingoLive() {
   const handleModeChange = useCallback(async (newMode) => {
     if (!user?.token) return;
 
-    const response = await fetch(`${config.apiUrl}/api/admin/game/mode`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${user.token}`,
-      },
-      body: JSON.stringify({ mode: newMode }),
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || 'Error cambiando modo');
-    }
+    await saveGameMode({ mode: newMode, roomId });
 
     // Also emit socket event for real-time sync
     setGameMode(newMode);
-  }, [user?.token, setGameMode]);
+  }, [user?.token, roomId, setGameMode]);
 
   // Admin reset handlers
-  const handleResetAction = useCallback(async (action, endpoint, confirmMsg) => {
+  const handleResetAction = useCallback(async (action, reset, confirmMsg) => {
     if (!window.confirm(confirmMsg)) return;
 
     setResetLoading((prev) => ({ ...prev, [action]: true }));
     setResetMessage(null);
 
     try {
-      const response = await fetch(`${config.apiUrl}/api/admin/${endpoint}`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${user?.token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ generateCount: 100 }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || 'Error en la operación');
-      }
-
+      await reset({ roomId });
       setResetMessage({ type: 'success', text: '✓ Operación completada' });
       setTimeout(() => setResetMessage(null), 3000);
     } catch (err) {
@@ -266,18 +370,18 @@ function BingoLive() {
     } finally {
       setResetLoading((prev) => ({ ...prev, [action]: false }));
     }
-  }, [user?.token]);
+  }, [roomId]);
 
   const handleResetGame = useCallback(() => {
-    handleResetAction('resetGame', 'game/reset', '¿Reiniciar el juego? Se limpiarán los números cantados.');
+    handleResetAction('resetGame', resetGame, '¿Reiniciar el juego? Se limpiarán los números cantados.');
   }, [handleResetAction]);
 
   const handleResetCards = useCallback(() => {
-    handleResetAction('resetCards', 'cards/reset', '¿Reiniciar cartones? Se eliminarán TODOS los cartones comprados.');
+    handleResetAction('resetCards', resetCards, '¿Reiniciar cartones? Se eliminarán TODOS los cartones comprados.');
   }, [handleResetAction]);
 
   const handleFullReset = useCallback(() => {
-    handleResetAction('fullReset', 'full-reset', '⚠️ RESET COMPLETO ⚠️\n\n¿Estás seguro? Esto reiniciará:\n- El juego (números cantados)\n- TODOS los cartones comprados');
+    handleResetAction('fullReset', fullReset, '⚠️ RESET COMPLETO ⚠️\n\n¿Estás seguro? Esto reiniciará:\n- El juego (números cantados)\n- TODOS los cartones comprados');
   }, [handleResetAction]);
 
   return (
@@ -287,22 +391,47 @@ function BingoLive() {
       <div className="container bingo-live-content">
         {/* Connection Status */}
         <motion.div
-          className={`connection-status ${isConnected ? 'connected' : 'disconnected'}`}
+          className={`connection-status ${isConnected ? 'connected' : 'disconnected'} ${connectionQuality === 'degraded' ? 'degraded' : ''}`}
           initial={{ opacity: 0, y: -20 }}
           animate={{ opacity: 1, y: 0 }}
           transition={{ delay: 0.2 }}
         >
           <motion.span
             className="status-dot"
-            animate={isConnected ? {
+            animate={connectionQuality === 'good' ? {
               scale: [1, 1.2, 1],
               boxShadow: ['0 0 0 0 rgba(0, 255, 136, 0.4)', '0 0 0 8px rgba(0, 255, 136, 0)', '0 0 0 0 rgba(0, 255, 136, 0.4)']
             } : {}}
             transition={{ duration: 2, repeat: Infinity }}
           />
-          {isConnected ? 'En vivo' : 'Desconectado'}
+          {connectionQuality === 'good' && 'En vivo'}
+          {connectionQuality === 'degraded' && 'Conexión lenta'}
+          {connectionQuality === 'offline' && (
+            reconnectFailed
+              ? 'Sin conexión'
+              : reconnectAttempt > 0
+                ? `Reconectando (${reconnectAttempt}/${config.connection.reconnectionAttempts})...`
+                : 'Desconectado'
+          )}
+          {isConnected && latency !== null && (
+            <span className="latency-value">{formatLatency(latency)}</span>
+          )}
+          {connectionQuality !== 'good' && (
+            <button className="reconnect-now-btn" onClick={reconnectWithAuth}>
+              Reconectar ahora
+            </button>
+          )}
         </motion.div>
 
+        {/* Current room */}
+        <div className="room-indicator">
+          <span>Sala: <strong>{gameState?.roomName || roomId}</strong></span>
+          <Link to="/salas" className="room-lobby-link">Cambiar sala</Link>
+        </div>
+
+        {/* Offline / resyncing notice - the board may be stale meanwhile */}
+        <ConnectionBanner />
+
         {/* "Continua el juego" Message - Shows when winner is rejected */}
         <AnimatePresence>
           {showContinueMessage && (
@@ -349,19 +478,56 @@ function BingoLive() {
                 >
                   🎉
                 </motion.div>
-                <h2>¡BINGO!</h2>
-                <p className="winner-name">
-                  Ganador: <strong>@{winner.odUsername || 'Anónimo'}</strong>
-                </p>
-                <p className="winner-wallet">
-                  {winner.wallet ? `${winner.wallet.slice(0, 6)}...${winner.wallet.slice(-4)}` : ''}
-                </p>
-                <p className="winner-pattern">
-                  Patrón: <strong>{winner.patternName || winner.pattern || gameMode}</strong>
-                </p>
-                <p className="winner-card-id">
-                  Cartón: #{winner.cardId?.slice(-8) || ''}
-                </p>
+                {activeStage && status !== 'ended' && (
+                  <p className="winner-stage">
+                    Etapa {currentStage + 1}: <strong>{activeStage.name}</strong>
+                    {nextStage && <span> · Siguiente: {nextStage.name}</span>}
+                  </p>
+                )}
+                {winners.length > 1 ? (
+                  <>
+                    <h2>¡BINGO compartido!</h2>
+                    <p className="winner-pattern">
+                      {winners.length} cartones completaron <strong>{winner.patternName || winner.pattern || gameMode}</strong> con la misma bola
+                    </p>
+                    <ul className="co-winners-list">
+                      {winners.map((w, i) => (
+                        <li key={w.cardId} className="co-winner-item">
+                          <span className="co-winner-name">@{w.odUsername || 'Anónimo'}</span>
+                          <span className="co-winner-card">#{w.cardId?.slice(-8) || ''}</span>
+                          {w.payout ? (
+                            <PayoutStatus payout={w.payout} compact />
+                          ) : winnerShares[i] != null && (
+                            <span className="winner-prize">{formatUsdc(winnerShares[i])} USDC</span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                ) : (
+                  <>
+                    <h2>¡BINGO!</h2>
+                    <p className="winner-name">
+                      Ganador: <strong>@{winner.odUsername || 'Anónimo'}</strong>
+                    </p>
+                    <p className="winner-wallet">
+                      {winner.wallet ? `${winner.wallet.slice(0, 6)}...${winner.wallet.slice(-4)}` : ''}
+                    </p>
+                    <p className="winner-pattern">
+                      Patrón: <strong>{winner.patternName || winner.pattern || gameMode}</strong>
+                    </p>
+                    <p className="winner-card-id">
+                      Cartón: #{winner.cardId?.slice(-8) || ''}
+                    </p>
+                    <div className="winner-payout">
+                      {winner.payout ? (
+                        <PayoutStatus payout={winner.payout} />
+                      ) : stagePrize != null && (
+                        <span className="winner-prize">Premio: {formatUsdc(stagePrize)} USDC</span>
+                      )}
+                    </div>
+                  </>
+                )}
               </motion.div>
             </motion.div>
           )}
@@ -379,7 +545,14 @@ function BingoLive() {
             currentMode={gameMode}
             gameStatus={status}
             onModeChange={handleModeChange}
+            modes={variantModes || gameModes}
+            loading={!variantModes && gameModesLoading}
           />
+          {isMultiStage && (
+            <div className="live-stages">
+              <GameStages stages={stages} currentStage={currentStage} />
+            </div>
+          )}
         </motion.section>
 
         {/* Admin Controls - Simple buttons */}
@@ -400,23 +573,38 @@ function BingoLive() {
 
               {/* Potential Winners Alert */}
               <AnimatePresence>
-                {potentialWinners.length > 0 && (status === 'playing' || status === 'paused') && (
+                {potentialWinners.length > 0 && isGameInProgress(status) && (
                   <motion.div
                     className="potential-winner-alert"
                     initial={{ opacity: 0, height: 0 }}
                     animate={{ opacity: 1, height: 'auto' }}
                     exit={{ opacity: 0, height: 0 }}
                   >
-                    {potentialWinners.map((pw) => (
-                      <div key={pw.cardId} className="pw-alert-item">
-                        <span className="pw-alert-icon">🏆</span>
-                        <span className="pw-alert-info">
-                          <strong>@{pw.username || 'Anónimo'}</strong> - {pw.pattern}
-                        </span>
-                        <div className="pw-alert-actions">
-                          <button onClick={() => verifyWinner(pw.cardId)} className="pw-accept-btn">✓</button>
-                          <button onClick={() => rejectWinner(pw.cardId)} className="pw-reject-btn">✗</button>
-                        </div>
+                    {potentialWinnerGroups.map((group) => (
+                      <div key={group.number ?? group.winners[0].cardId} className="pw-alert-group">
+                        {group.winners.length > 1 && (
+                          <div className="pw-alert-group-header">
+                            <span>{group.winners.length} cartones con la bola {group.number}</span>
+                            <button
+                              onClick={() => verifyWinners(group.winners.map((pw) => pw.cardId))}
+                              className="pw-accept-all-btn"
+                            >
+                              ✓ Verificar todos
+                            </button>
+                          </div>
+                        )}
+                        {group.winners.map((pw) => (
+                          <div key={pw.cardId} className="pw-alert-item">
+                            <span className="pw-alert-icon">🏆</span>
+                            <span className="pw-alert-info">
+                              <strong>@{pw.username || 'Anónimo'}</strong> - {pw.pattern}
+                            </span>
+                            <div className="pw-alert-actions">
+                              <button onClick={() => verifyWinner(pw.cardId)} className="pw-accept-btn">✓</button>
+                              <button onClick={() => rejectWinner(pw.cardId)} className="pw-reject-btn">✗</button>
+                            </div>
+                          </div>
+                        ))}
                       </div>
                     ))}
                   </motion.div>
@@ -546,7 +734,7 @@ function BingoLive() {
                 </motion.button>
               </div>
 
-              {(status === 'playing' || status === 'paused') && potentialWinners.length === 0 && (
+              {isGameInProgress(status) && potentialWinners.length === 0 && (
                 <p className="admin-hint-small">Clic para cantar, clic en cantado para quitar</p>
               )}
             </GlassCard>
@@ -555,6 +743,13 @@ function BingoLive() {
 
         {/* Current Number Display */}
         <section className="current-number-section">
+          {/* Live prize pool */}
+          {prizePool && (
+            <div className="live-prize-pool">
+              <PrizePool pool={prizePool} label={status === 'ended' ? 'Premio de la partida' : 'Bote en juego'} />
+            </div>
+          )}
+
           <motion.h2
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
@@ -626,9 +821,19 @@ function BingoLive() {
                   <h3>¡Juego Terminado!</h3>
                   {winner && (
                     <p className="winner-name">
-                      Ganador: <span>@{winner.odUsername || winner.username || winner.wallet?.slice(0, 10)}</span>
+                      {winners.length > 1 ? 'Ganadores: ' : 'Ganador: '}
+                      <span>
+                        {(winners.length > 0 ? winners : [winner])
+                          .map((w) => `@${w.odUsername || w.username || w.wallet?.slice(0, 10)}`)
+                          .join(', ')}
+                      </span>
                     </p>
                   )}
+                  {gameId && (
+                    <Link to={`/partidas/${gameId}`} className="replay-link">
+                      Ver repetición
+                    </Link>
+                  )}
                 </GlassCard>
               </motion.div>
             ) : currentNumber ? (
@@ -640,7 +845,7 @@ function BingoLive() {
                 exit={{ scale: 0, rotate: 180 }}
                 transition={{ type: 'spring', stiffness: 300, damping: 20 }}
               >
-                <NumberBall number={currentNumber} size="huge" animate current />
+                <NumberBall number={currentNumber} size="huge" animate current variant={variant.key} />
               </motion.div>
             ) : (
               <motion.div
@@ -660,6 +865,24 @@ function BingoLive() {
               </motion.div>
             )}
           </AnimatePresence>
+
+          {/* Auto-call countdown - next ball timing from the admin's automatic caller */}
+          {status === 'playing' && autoCall?.nextCallAt && potentialWinners.length === 0 && (
+            <NextBallCountdown
+              nextCallAt={autoCall.nextCallAt}
+              intervalSeconds={autoCall.intervalSeconds}
+            />
+          )}
+
+          {/* Next scheduled games of this room while waiting */}
+          {status === 'waiting' && (
+            <div className="live-schedule">
+              <ScheduledGames roomId={roomId} title="Próxima partida" />
+            </div>
+          )}
+
+          {/* Verifiable draw - commitment during the game, seed check once it ends */}
+          <DrawVerification draw={draw} calledNumbers={calledNumbers} status={status} totalNumbers={variant.totalNumbers} />
         </section>
 
         {/* Called Numbers Board */}
@@ -682,69 +905,73 @@ function BingoLive() {
               >
                 {calledNumbers.length}
               </motion.span>
-              <span>/75</span>
+              <span>/{variant.totalNumbers}</span>
             </div>
           </motion.div>
 
-          <GlassCard className="numbers-board-card">
-            <div className="numbers-board">
-              {Object.entries(ALL_NUMBERS).map(([letter, numbers], colIndex) => (
-                <motion.div
-                  key={letter}
-                  className="numbers-column"
-                  initial={{ opacity: 0, y: 20 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  transition={{ delay: 0.5 + colIndex * 0.1 }}
-                >
-                  <div
-                    className="column-header"
-                    style={{
-                      background: `linear-gradient(135deg, ${COLUMN_COLORS[letter]} 0%, ${COLUMN_COLORS[letter]}80 100%)`,
-                      boxShadow: `0 4px 20px ${COLUMN_COLORS[letter]}40`,
-                    }}
+          <GlassCard className={`numbers-board-card ${syncStatus === 'resyncing' ? 'resyncing' : ''}`}>
+            <div className={`numbers-board variant-${variant.key}`}>
+              {boardColumns.map(({ label, numbers }, colIndex) => {
+                // 90/30-ball columns reuse the five B-I-N-G-O colors
+                const columnColor = COLUMN_COLORS[COLUMNS[colIndex % COLUMNS.length]];
+                return (
+                  <motion.div
+                    key={label}
+                    className="numbers-column"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.5 + colIndex * 0.1 }}
                   >
-                    {letter}
-                  </div>
-                  <div className="column-numbers">
-                    {numbers.map((num) => {
-                      const isCalled = calledNumbers.includes(num);
-                      const isCurrent = num === currentNumber;
-                      const canCall = isAdmin && status === 'playing' && !isCalled;
-                      const canUncall = isAdmin && (status === 'playing' || status === 'paused') && isCalled;
-                      const isClickable = canCall || canUncall;
-                      return (
-                        <motion.div
-                          key={num}
-                          className={`number-cell ${isCalled ? 'called' : ''} ${isCurrent ? 'current' : ''} ${isClickable ? 'clickable' : ''} ${canUncall ? 'uncallable' : ''}`}
-                          initial={false}
-                          animate={isCalled ? {
-                            backgroundColor: `${COLUMN_COLORS[letter]}40`,
-                            color: '#fff',
-                            scale: isCurrent ? [1, 1.1, 1] : 1,
-                          } : {
-                            backgroundColor: 'rgba(10, 10, 20, 0.6)',
-                            color: 'rgba(255, 255, 255, 0.3)',
-                          }}
-                          transition={{ duration: 0.3 }}
-                          style={isCurrent ? {
-                            boxShadow: `0 0 20px ${COLUMN_COLORS[letter]}`,
-                            border: `2px solid ${COLUMN_COLORS[letter]}`,
-                          } : {}}
-                          onClick={canCall ? () => handleCallNumber(num) : canUncall ? () => handleUncallNumber(num) : undefined}
-                          whileHover={isClickable ? {
-                            scale: 1.15,
-                            backgroundColor: canUncall ? 'rgba(255, 100, 100, 0.6)' : `${COLUMN_COLORS[letter]}60`,
-                            color: '#fff',
-                          } : {}}
-                          whileTap={isClickable ? { scale: 0.95 } : {}}
-                        >
-                          {num}
-                        </motion.div>
-                      );
-                    })}
-                  </div>
-                </motion.div>
-              ))}
+                    <div
+                      className="column-header"
+                      style={{
+                        background: `linear-gradient(135deg, ${columnColor} 0%, ${columnColor}80 100%)`,
+                        boxShadow: `0 4px 20px ${columnColor}40`,
+                      }}
+                    >
+                      {label}
+                    </div>
+                    <div className="column-numbers">
+                      {numbers.map((num) => {
+                        const isCalled = calledNumbers.includes(num);
+                        const isCurrent = num === currentNumber;
+                        const canCall = isAdmin && status === 'playing' && !isCalled;
+                        const canUncall = isAdmin && isGameInProgress(status) && isCalled;
+                        const isClickable = canCall || canUncall;
+                        return (
+                          <motion.div
+                            key={num}
+                            className={`number-cell ${isCalled ? 'called' : ''} ${isCurrent ? 'current' : ''} ${isClickable ? 'clickable' : ''} ${canUncall ? 'uncallable' : ''}`}
+                            initial={false}
+                            animate={isCalled ? {
+                              backgroundColor: `${columnColor}40`,
+                              color: '#fff',
+                              scale: isCurrent ? [1, 1.1, 1] : 1,
+                            } : {
+                              backgroundColor: 'rgba(10, 10, 20, 0.6)',
+                              color: 'rgba(255, 255, 255, 0.3)',
+                            }}
+                            transition={{ duration: 0.3 }}
+                            style={isCurrent ? {
+                              boxShadow: `0 0 20px ${columnColor}`,
+                              border: `2px solid ${columnColor}`,
+                            } : {}}
+                            onClick={canCall ? () => handleCallNumber(num) : canUncall ? () => handleUncallNumber(num) : undefined}
+                            whileHover={isClickable ? {
+                              scale: 1.15,
+                              backgroundColor: canUncall ? 'rgba(255, 100, 100, 0.6)' : `${columnColor}60`,
+                              color: '#fff',
+                            } : {}}
+                            whileTap={isClickable ? { scale: 0.95 } : {}}
+                          >
+                            {num}
+                          </motion.div>
+                        );
+                      })}
+                    </div>
+                  </motion.div>
+                );
+              })}
             </div>
           </GlassCard>
         </section>
@@ -765,6 +992,17 @@ function BingoLive() {
               {myCards.length > 0 && (
                 <span className="cards-count">{myCards.length} cartón{myCards.length > 1 ? 'es' : ''}</span>
               )}
+              <label className="daub-toggle" title="Desactívalo para marcar los números tú mismo">
+                <input
+                  type="checkbox"
+                  checked={preferences.autoDaub}
+                  onChange={handleToggleAutoDaub}
+                />
+                <span className="daub-toggle-track">
+                  <span className="daub-toggle-thumb" />
+                </span>
+                <span className="daub-toggle-label">Auto-marcar</span>
+              </label>
             </div>
 
             {loadingCards ? (
@@ -792,19 +1030,89 @@ function BingoLive() {
                 </motion.a>
               </GlassCard>
             ) : (
-              <div className="my-cards-grid">
+              <>
+                {/* Local BINGO alert - shown as soon as one of my cards completes the pattern */}
                 <AnimatePresence>
-                  {myCards.map((card, index) => (
-                    <BingoCard
-                      key={card.id}
-                      card={card}
-                      calledNumbers={calledNumbers}
-                      size="normal"
-                      index={index}
-                    />
-                  ))}
+                  {myBingoCards.length > 0 && (
+                    <motion.div
+                      className="my-bingo-alert"
+                      initial={{ opacity: 0, y: -10 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      exit={{ opacity: 0, y: -10 }}
+                    >
+                      <span className="my-bingo-icon">🎉</span>
+                      <div className="my-bingo-text">
+                        <strong>¡Tienes BINGO!</strong>
+                        {myBingoCards.map((card) => (
+                          <span key={card.id} className="my-bingo-card">
+                            Cartón #{card.id?.slice(-6)}
+                            {potentialWinners.some((pw) => pw.cardId === card.id)
+                              ? ' - en verificación'
+                              : ' - esperando confirmación'}
+                          </span>
+                        ))}
+                      </div>
+                    </motion.div>
+                  )}
                 </AnimatePresence>
-              </div>
+
+                <div className="my-cards-grid">
+                  <AnimatePresence>
+                    {rankedCards.map(({ card, result }, index) => (
+                      <motion.div
+                        key={card.id}
+                        className="my-card-item"
+                        layout
+                        transition={{ type: 'spring', stiffness: 300, damping: 30 }}
+                      >
+                        {ticketStrips.has(card.id) && (
+                          <span className="card-strip-tag">
+                            Tira {ticketStrips.get(card.id).number} · ticket {ticketStrips.get(card.id).position}/{ticketStrips.get(card.id).size}
+                          </span>
+                        )}
+                        {result && (
+                          <div className={`card-progress ${result.isComplete ? 'complete' : ''}`}>
+                            {result.isComplete ? (
+                              <span className="card-progress-count">¡BINGO!</span>
+                            ) : (
+                              <>
+                                <span className="card-progress-count">
+                                  Faltan {result.missingCount}
+                                </span>
+                                <span className="card-progress-numbers">
+                                  {formatMissingNumbers(result.missingNumbers)}
+                                </span>
+                              </>
+                            )}
+                            {(isGameActive || claims[card.id]) && (
+                              <motion.button
+                                className={`claim-bingo-btn ${claims[card.id] || ''}`}
+                                onClick={() => claimBingo(card.id)}
+                                disabled={!canClaim(card.id, result)}
+                                whileHover={canClaim(card.id, result) ? { scale: 1.05 } : {}}
+                                whileTap={canClaim(card.id, result) ? { scale: 0.95 } : {}}
+                              >
+                                {CLAIM_LABELS[claims[card.id]] || '¡Cantar BINGO!'}
+                              </motion.button>
+                            )}
+                          </div>
+                        )}
+                        <BingoCard
+                          card={card}
+                          calledNumbers={calledNumbers}
+                          gameMode={gameMode}
+                          patternGrid={customGrid}
+                          daubMode={daubMode}
+                          daubedNumbers={daubs[card.id]}
+                          onDaub={handleDaub}
+                          size="normal"
+                          index={index}
+                        />
+                      </motion.div>
+                    ))}
+                  </AnimatePresence>
+                </div>
+              </>
             )}
           </motion.section>
         )}
@@ -861,6 +1169,7 @@ function BingoLive() {
                     animate={index === 0}
                     index={index}
                     current={index === 0}
+                    variant={variant.key}
                   />
                 ))}
               </div>
@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { BingoCard, CardQrCode } from '../components/bingo';
+import { AnimatedBackground, GlassCard, GlowButton } from '../components/ui';
+import { getPublicCard, isAbortError } from '../services/api';
+import { getPatternName } from '../utils/bingoPatterns';
+import { normalizePublicCard } from '../utils/cardVerification';
+import './CardVerification.css';
+
+// Public read-only page reached by scanning a card's QR
+function CardVerification() {
+  const { cardId } = useParams();
+
+  const [card, setCard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Reset when navigating to another card
+  const [prevCardId, setPrevCardId] = useState(cardId);
+  if (prevCardId !== cardId) {
+    setPrevCardId(cardId);
+    setCard(null);
+    setLoading(true);
+    setError(null);
+  }
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    async function fetchCard() {
+      try {
+        const data = normalizePublicCard(await getPublicCard(cardId, { signal: controller.signal }));
+        if (!data) throw new Error('Cartón no encontrado');
+        setCard(data);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error fetching card:', err);
+        setError(err.message);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }
+
+    fetchCard();
+    return () => controller.abort();
+  }, [cardId]);
+
+  if (loading) {
+    return (
+      <div className="card-verify-page">
+        <AnimatedBackground />
+        <div className="container card-verify-content">
+          <GlassCard className="card-verify-status">
+            <motion.div
+              animate={{ opacity: [0.5, 1, 0.5] }}
+              transition={{ duration: 2, repeat: Infinity }}
+            >
+              <p>Cargando cartón...</p>
+            </motion.div>
+          </GlassCard>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !card) {
+    return (
+      <div className="card-verify-page">
+        <AnimatedBackground />
+        <div className="container card-verify-content">
+          <GlassCard className="card-verify-status" glow>
+            <div className="card-verify-status-icon">🎫</div>
+            <p>{error || 'Cartón no encontrado'}</p>
+            <Link to="/">
+              <GlowButton variant="secondary">Volver al inicio</GlowButton>
+            </Link>
+          </GlassCard>
+        </div>
+      </div>
+    );
+  }
+
+  const gameEnded = card.gameStatus === 'ended';
+  let result = { className: 'pending', icon: '⏳', label: 'Aún no ha jugado' };
+  if (card.isWinner) {
+    result = { className: 'winner', icon: '🏆', label: 'Cartón ganador' };
+  } else if (gameEnded) {
+    result = { className: 'lost', icon: '✕', label: 'No ganó' };
+  } else if (card.gameStatus === 'playing') {
+    result = { className: 'playing', icon: '🎱', label: 'Partida en curso' };
+  }
+
+  return (
+    <div className="card-verify-page">
+      <AnimatedBackground />
+
+      <div className="container card-verify-content">
+        {/* Header */}
+        <motion.header
+          className="card-verify-header"
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          <div className="header-badge">
+            <span>Verificación de cartón</span>
+          </div>
+          <h1>Cartón #{card.id.slice(-6)}</h1>
+        </motion.header>
+
+        {/* Result */}
+        <motion.div
+          className={`card-verify-result ${result.className}`}
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+        >
+          <span className="card-verify-result-icon">{result.icon}</span>
+          <span>{result.label}</span>
+        </motion.div>
+
+        <div className="card-verify-body">
+          <BingoCard
+            card={card}
+            calledNumbers={card.calledNumbers}
+            gameMode={card.calledNumbers.length > 0 ? card.gameMode : null}
+          />
+
+          <GlassCard className="card-verify-details">
+            <dl>
+              <dt>Dueño</dt>
+              <dd>{card.ownerUsername ? `@${card.ownerUsername}` : 'Sin asignar'}</dd>
+
+              <dt>Partida</dt>
+              <dd>
+                {card.gameId ? String(card.gameId).slice(-8) : 'Sin partida'}
+                {card.roomName && ` · ${card.roomName}`}
+              </dd>
+
+              {card.gameMode && (
+                <>
+                  <dt>Patrón</dt>
+                  <dd>{getPatternName(card.gameMode) || card.gameMode}</dd>
+                </>
+              )}
+
+              {card.wonAt && (
+                <>
+                  <dt>Ganó el</dt>
+                  <dd>{new Date(card.wonAt).toLocaleString('es-ES', { dateStyle: 'medium', timeStyle: 'short' })}</dd>
+                </>
+              )}
+
+              <dt>ID completo</dt>
+              <dd className="card-verify-id">{card.id}</dd>
+            </dl>
+
+            {gameEnded && card.gameId && (
+              <Link to={`/partidas/${encodeURIComponent(card.gameId)}`}>
+                <GlowButton variant="outline" size="sm" fullWidth>
+                  Ver repetición de la partida
+                </GlowButton>
+              </Link>
+            )}
+
+            <CardQrCode cardId={card.id} size={120} showLink={false} />
+          </GlassCard>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CardVerification;
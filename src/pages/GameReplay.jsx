@@ -0,0 +1,353 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useAuth } from '../context/AuthContext';
+import { BingoCard, NumberBall } from '../components/bingo';
+import { useGameModes } from '../hooks';
+import { AnimatedBackground, GlassCard, GlowButton } from '../components/ui';
+import { getGameReplay, getMyCards, isAbortError } from '../services/api';
+import { normalizeReplay, findCompletionCall } from '../utils/gameReplay';
+import './GameReplay.css';
+
+// Milliseconds between balls at 1x
+const BASE_STEP_MS = 1500;
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+
+function GameReplay() {
+  const { gameId } = useParams();
+  const { user } = useAuth();
+
+  const [replay, setReplay] = useState(null);
+  const [myCards, setMyCards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Playback state - step is the number of balls already drawn
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  // Custom pattern grids are needed to find when each card completed the pattern
+  const { modes: gameModes, loading: gameModesLoading } = useGameModes();
+
+  // Reset when navigating to another game
+  const [prevGameId, setPrevGameId] = useState(gameId);
+  if (prevGameId !== gameId) {
+    setPrevGameId(gameId);
+    setReplay(null);
+    setMyCards([]);
+    setLoading(true);
+    setError(null);
+    setStep(0);
+    setPlaying(false);
+  }
+
+  // Load the finished game's history
+  useEffect(() => {
+    const controller = new AbortController();
+
+    async function fetchReplay() {
+      try {
+        const data = normalizeReplay(await getGameReplay(gameId, { signal: controller.signal }));
+        if (!data) throw new Error('La partida no tiene historial de números');
+        setReplay(data);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error fetching replay:', err);
+        setError(err.message);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }
+
+    fetchReplay();
+    return () => controller.abort();
+  }, [gameId]);
+
+  // Load the player's cards for that game (optional)
+  useEffect(() => {
+    if (!user?.token) return;
+    const controller = new AbortController();
+
+    async function fetchMyCards() {
+      try {
+        setMyCards(await getMyCards({ gameId }, { signal: controller.signal }));
+      } catch (err) {
+        if (!isAbortError(err)) console.error('Error fetching replay cards:', err);
+      }
+    }
+
+    fetchMyCards();
+    return () => controller.abort();
+  }, [gameId, user]);
+
+  const calledNumbers = useMemo(() => replay?.calledNumbers || [], [replay]);
+  const totalCalls = calledNumbers.length;
+  const gameMode = replay?.gameMode || 'fullCard';
+  const winners = useMemo(() => replay?.winners || [], [replay]);
+
+  const customGrid = useMemo(() => {
+    return gameModes.find((mode) => mode.custom && mode.key === gameMode)?.grid ?? null;
+  }, [gameModes, gameMode]);
+
+  const visibleNumbers = useMemo(() => calledNumbers.slice(0, step), [calledNumbers, step]);
+  const currentNumber = step > 0 ? calledNumbers[step - 1] : null;
+
+  // Winners' cards first (co-winners included), then my cards - each with the call that completed it
+  const replayCards = useMemo(() => {
+    const cards = [];
+    winners.forEach((w) => {
+      const winnerCard = w.card || myCards.find((c) => c.id === w.cardId);
+      if (winnerCard?.numbers && !cards.some((entry) => entry.card.id === winnerCard.id)) {
+        cards.push({ card: winnerCard, winner: w, isWinner: true });
+      }
+    });
+    myCards.forEach((card) => {
+      if (!cards.some((entry) => entry.card.id === card.id)) cards.push({ card, winner: null, isWinner: false });
+    });
+    return cards.map((entry) => ({
+      ...entry,
+      completedAt: findCompletionCall(entry.card.numbers, calledNumbers, gameMode, customGrid),
+    }));
+  }, [winners, myCards, calledNumbers, gameMode, customGrid]);
+
+  // Every co-winner with the call that completed their card (null when the card isn't known)
+  const winnerEntries = winners.map((w) => ({
+    winner: w,
+    completedAt: replayCards.find((entry) => entry.winner?.cardId === w.cardId)?.completedAt ?? null,
+  }));
+  const winnerCompletedAt = winnerEntries.reduce((first, { completedAt }) => (
+    completedAt !== null && (first === null || completedAt < first) ? completedAt : first
+  ), null);
+
+  // Advance one ball per tick while playing
+  useEffect(() => {
+    if (!playing) return;
+    const timer = setTimeout(() => {
+      const next = Math.min(step + 1, totalCalls);
+      setStep(next);
+      if (next >= totalCalls) setPlaying(false);
+    }, BASE_STEP_MS / speed);
+    return () => clearTimeout(timer);
+  }, [playing, step, totalCalls, speed]);
+
+  const handleTogglePlay = useCallback(() => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    // Start over when the replay already reached the end
+    if (step >= totalCalls) setStep(0);
+    setPlaying(true);
+  }, [playing, step, totalCalls]);
+
+  const goToStep = useCallback((value) => {
+    setStep(Math.max(0, Math.min(totalCalls, value)));
+  }, [totalCalls]);
+
+  const handleScrub = useCallback((e) => {
+    setPlaying(false);
+    goToStep(Number(e.target.value));
+  }, [goToStep]);
+
+  if (loading || gameModesLoading) {
+    return (
+      <div className="game-replay-page">
+        <AnimatedBackground />
+        <div className="container game-replay-content">
+          <GlassCard className="replay-status">
+            <motion.div
+              animate={{ opacity: [0.5, 1, 0.5] }}
+              transition={{ duration: 2, repeat: Infinity }}
+            >
+              <p>Cargando partida...</p>
+            </motion.div>
+          </GlassCard>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !replay) {
+    return (
+      <div className="game-replay-page">
+        <AnimatedBackground />
+        <div className="container game-replay-content">
+          <GlassCard className="replay-status" glow>
+            <div className="replay-status-icon">🎱</div>
+            <p>{error || 'Partida no encontrada'}</p>
+            <Link to="/bingo-live">
+              <GlowButton variant="secondary">Volver al bingo</GlowButton>
+            </Link>
+          </GlassCard>
+        </div>
+      </div>
+    );
+  }
+
+  const shownWinners = winnerEntries.filter(({ completedAt }) => step >= (completedAt ?? totalCalls));
+
+  return (
+    <div className="game-replay-page">
+      <AnimatedBackground />
+
+      <div className="container game-replay-content">
+        {/* Header */}
+        <motion.header
+          className="game-replay-header"
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          <div className="header-badge">
+            <span>Repetición</span>
+          </div>
+          <h1>Partida {String(replay.gameId).slice(-8)}</h1>
+          <p>
+            {replay.patternName || gameMode}
+            {replay.endedAt && ` · ${new Date(replay.endedAt).toLocaleString('es-ES', { dateStyle: 'medium', timeStyle: 'short' })}`}
+            {` · ${totalCalls} bolas`}
+          </p>
+        </motion.header>
+
+        {/* Player */}
+        <GlassCard className="replay-player">
+          <div className="replay-current">
+            <AnimatePresence mode="wait">
+              {currentNumber ? (
+                <NumberBall key={`${currentNumber}-${step}`} number={currentNumber} size="large" animate current variant={replay.variant} />
+              ) : (
+                <motion.div
+                  key="empty"
+                  className="replay-empty-ball"
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                  exit={{ opacity: 0 }}
+                >
+                  ?
+                </motion.div>
+              )}
+            </AnimatePresence>
+            <span className="replay-counter">
+              Bola <strong>{step}</strong> / {totalCalls}
+            </span>
+          </div>
+
+          <div className="replay-controls">
+            <button className="replay-btn" onClick={() => goToStep(0)} disabled={step === 0} title="Inicio">⏮</button>
+            <button className="replay-btn" onClick={() => goToStep(step - 1)} disabled={step === 0} title="Bola anterior">◀</button>
+            <button className="replay-btn play" onClick={handleTogglePlay} disabled={totalCalls === 0}>
+              {playing ? '⏸ Pausar' : step >= totalCalls && step > 0 ? '↺ Repetir' : '▶ Reproducir'}
+            </button>
+            <button className="replay-btn" onClick={() => goToStep(step + 1)} disabled={step >= totalCalls} title="Bola siguiente">▶</button>
+            <button className="replay-btn" onClick={() => goToStep(totalCalls)} disabled={step >= totalCalls} title="Final">⏭</button>
+          </div>
+
+          <div className="replay-scrubber">
+            <input
+              type="range"
+              min={0}
+              max={totalCalls}
+              value={step}
+              onChange={handleScrub}
+              aria-label="Posición de la repetición"
+            />
+            {winnerCompletedAt !== null && totalCalls > 0 && (
+              <span
+                className="replay-winner-marker"
+                style={{ left: `${(winnerCompletedAt / totalCalls) * 100}%` }}
+                title={`Bingo en la bola #${winnerCompletedAt}`}
+              >
+                🏆
+              </span>
+            )}
+          </div>
+
+          <div className="replay-speed">
+            {PLAYBACK_SPEEDS.map((value) => (
+              <button
+                key={value}
+                className={`replay-speed-btn ${speed === value ? 'active' : ''}`}
+                onClick={() => setSpeed(value)}
+              >
+                {value}x
+              </button>
+            ))}
+          </div>
+        </GlassCard>
+
+        {/* Winners - co-winners on the same ball are all listed */}
+        {shownWinners.length > 0 && (
+          <div className="replay-winners">
+            <AnimatePresence>
+              {shownWinners.map(({ winner, completedAt }) => (
+                <motion.div
+                  key={winner.cardId}
+                  className="replay-winner"
+                  initial={{ opacity: 0, scale: 0.9 }}
+                  animate={{ opacity: 1, scale: 1 }}
+                  exit={{ opacity: 0, scale: 0.9 }}
+                >
+                  <span className="replay-winner-icon">🏆</span>
+                  <span>
+                    {winner.odUsername ? `@${winner.odUsername}` : winners.length > 1 ? 'Un ganador' : 'El ganador'} completó el patrón
+                    {completedAt !== null ? ` en la bola #${completedAt}` : ''}
+                  </span>
+                </motion.div>
+              ))}
+            </AnimatePresence>
+          </div>
+        )}
+
+        {/* Drawn balls so far */}
+        <section className="replay-sequence">
+          <h2>Números cantados</h2>
+          <div className="replay-sequence-balls">
+            {visibleNumbers.map((num, i) => (
+              <button
+                key={num}
+                className={`replay-sequence-item ${i === step - 1 ? 'current' : ''}`}
+                onClick={() => goToStep(i + 1)}
+                title={`Ir a la bola #${i + 1}`}
+              >
+                <NumberBall number={num} size="small" called variant={replay.variant} />
+              </button>
+            ))}
+          </div>
+        </section>
+
+        {/* Cards */}
+        {replayCards.length > 0 && (
+          <section className="replay-cards">
+            <h2>Cartones</h2>
+            <div className="replay-cards-grid">
+              {replayCards.map(({ card, isWinner, completedAt }) => (
+                <div key={card.id} className={`replay-card-item ${isWinner ? 'winner' : ''}`}>
+                  <div className="replay-card-label">
+                    {isWinner ? '🏆 Cartón ganador' : 'Tu cartón'}
+                    {completedAt !== null ? (
+                      <button className="replay-jump-btn" onClick={() => goToStep(completedAt)}>
+                        Bingo en la bola #{completedAt}
+                      </button>
+                    ) : (
+                      <span className="replay-card-missed">No completó el patrón</span>
+                    )}
+                  </div>
+                  <BingoCard
+                    card={card}
+                    calledNumbers={visibleNumbers}
+                    gameMode={gameMode}
+                    patternGrid={customGrid}
+                    size="small"
+                  />
+                </div>
+              ))}
+            </div>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default GameReplay;
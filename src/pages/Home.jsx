@@ -1,12 +1,18 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../context/AuthContext';
 import { useSocket } from '../context/SocketContext';
 import { createPaymentFetch, getWalletState, hasWalletProvider, getUSDCBalance, setSelectedNetwork } from '../services/x402';
-import { CardQuantitySelector, NumberBall } from '../components/bingo';
+import { getAvailableCards } from '../services/api';
+import { CardQuantitySelector, CardPicker, NumberBall, ScheduledGames } from '../components/bingo';
+import { useRooms, getRoomCardPrice, useCardReservation } from '../hooks';
 import { GlowButton, GlassCard, AnimatedBackground } from '../components/ui';
 import { AnimatedTitle, FadeUpText, GradientText } from '../components/ui/AnimatedText';
 import { config } from '../config';
+import { getPrizePool, formatUsdc } from '../utils/prizePool';
+import { getVariant } from '../utils/bingoVariants';
+import { isGameInProgress } from '../utils/gameStatus';
 import './Home.css';
 
 // Network info with logos/icons (all uvd-x402-sdk supported EVM mainnets)
@@ -26,13 +32,33 @@ const NETWORK_INFO = {
 // Timeout for payment operations (30 seconds)
 const PAYMENT_TIMEOUT_MS = 30000;
 
+// Fewer unsold cards than the player asked for
+const getFewerCardsMessage = (available, requested) => (
+  available > 0
+    ? `Solo quedan ${available} cartón${available === 1 ? '' : 'es'} disponible${available === 1 ? '' : 's'} y pediste ${requested}. Elige una cantidad menor.`
+    : 'Ya no quedan cartones disponibles en esta sala.'
+);
+
 function Home() {
   const { user, isConnected, isLoggedIn, openLoginModal, connectWallet } = useAuth();
-  const { gameState } = useSocket();
+  const { gameState, roomId: joinedRoomId } = useSocket();
+  const { rooms } = useRooms();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+
+  // Cards are bought for one room (?sala=<id>, defaults to the main room)
+  const roomId = searchParams.get('sala') || config.defaultRoomId;
+  const selectedRoom = rooms.find((room) => room.id === roomId) || null;
+  const cardPrice = getRoomCardPrice(selectedRoom);
+
+  const handleRoomChange = (nextRoomId) => {
+    setSearchParams(nextRoomId === config.defaultRoomId ? {} : { sala: nextRoomId }, { replace: true });
+  };
 
   const [availableCount, setAvailableCount] = useState(0);
   const [purchasedCards, setPurchasedCards] = useState([]);
   const [purchasing, setPurchasing] = useState(false);
+  const [purchaseMode, setPurchaseMode] = useState('random'); // 'random' | 'pick'
   const [error, setError] = useState(null);
   const [paymentStatus, setPaymentStatus] = useState(null);
   const [isWalletReady, setIsWalletReady] = useState(false);
@@ -43,6 +69,15 @@ function Home() {
   // Ref to prevent double-click race condition
   const isPurchasingRef = useRef(false);
 
+  // Random purchases hold N cards first so nobody else takes them while the wallet signs
+  const {
+    reservation: hold,
+    secondsLeft: holdSecondsLeft,
+    reserve: reserveCards,
+    release: releaseHold,
+    clear: clearHold,
+  } = useCardReservation(roomId);
+
   // Handle network change
   const handleNetworkChange = (network) => {
     if (NETWORK_INFO[network]?.disabled) return;
@@ -77,53 +112,57 @@ function Home() {
   useEffect(() => {
     async function fetchAvailableCount() {
       try {
-        const response = await fetch(`${config.apiUrl}/api/cards/available`);
-        if (!response.ok) throw new Error('Error fetching cards');
-        const data = await response.json();
-        setAvailableCount(data.total || 0);
+        const data = await getAvailableCards({ roomId });
+        setAvailableCount(data?.total || 0);
       } catch (err) {
         // Silent fail for non-critical fetch
       }
     }
 
     fetchAvailableCount();
-  }, [purchasedCards]);
+  }, [purchasedCards, roomId]);
 
-  const handlePurchase = async (quantity) => {
+  // Buy `quantity` random cards, or exactly the picked cards held by `reservationId`
+  const handlePurchase = async (quantity, { cardIds, reservationId } = {}) => {
     // CRITICAL: Prevent double-click race condition using ref (immediate)
-    if (isPurchasingRef.current) return;
+    if (isPurchasingRef.current) return false;
     isPurchasingRef.current = true;
 
     if (!isLoggedIn) {
       isPurchasingRef.current = false;
       openLoginModal();
-      return;
+      return false;
     }
 
     if (!quantity || quantity < 1) {
       isPurchasingRef.current = false;
-      return;
+      return false;
     }
 
-    // Validate Fibonacci quantity
-    if (!config.fibonacciQuantities.includes(quantity)) {
+    // Validate Fibonacci quantity (picked cards can be any amount up to the max)
+    const validQuantity = cardIds
+      ? quantity <= config.maxCardsPerPurchase
+      : config.fibonacciQuantities.includes(quantity);
+    if (!validQuantity) {
       isPurchasingRef.current = false;
-      setError(`Cantidad inválida. Opciones válidas: ${config.fibonacciQuantities.join(', ')}`);
-      return;
+      setError(cardIds
+        ? `Puedes comprar como máximo ${config.maxCardsPerPurchase} cartones por compra`
+        : `Cantidad inválida. Opciones válidas: ${config.fibonacciQuantities.join(', ')}`);
+      return false;
     }
 
     // Check if wallet provider exists
     if (!hasWalletProvider()) {
       isPurchasingRef.current = false;
       setError('No se detectó wallet. Por favor instala MetaMask.');
-      return;
+      return false;
     }
 
     // Check if wallet is ready for x402
     if (!isWalletReady) {
       isPurchasingRef.current = false;
       setError('Wallet no conectada. Por favor conecta tu wallet primero.');
-      return;
+      return false;
     }
 
     setPurchasing(true);
@@ -132,7 +171,7 @@ function Home() {
 
     // Check USDC balance before attempting purchase
     try {
-      const totalCost = quantity * config.cardPrice;
+      const totalCost = quantity * cardPrice;
       const usdcBalance = await getUSDCBalance();
 
       if (!usdcBalance.hasEnough(totalCost)) {
@@ -140,14 +179,42 @@ function Home() {
         setPurchasing(false);
         setPaymentStatus(null);
         setError(`Fondos insuficientes. Necesitas ${totalCost.toFixed(2)} USDC pero tienes ${usdcBalance.balanceFormatted} USDC en tu wallet.`);
-        return;
+        return false;
       }
     } catch (balanceErr) {
       console.warn('Could not check balance:', balanceErr);
       // Continue anyway - the payment will fail if insufficient
     }
 
+    // Phase 1: hold the cards (picked cards arrive already held)
+    let ownHold = null;
+    if (!reservationId) {
+      setPaymentStatus('Reservando cartones...');
+      try {
+        ownHold = await reserveCards({ quantity });
+      } catch (reserveErr) {
+        isPurchasingRef.current = false;
+        setPurchasing(false);
+        setPaymentStatus(null);
+        setError(reserveErr.available != null
+          ? getFewerCardsMessage(reserveErr.available, quantity)
+          : reserveErr.message);
+        return false;
+      }
+
+      if (ownHold.cardIds.length < quantity) {
+        releaseHold(ownHold);
+        isPurchasingRef.current = false;
+        setPurchasing(false);
+        setPaymentStatus(null);
+        setError(getFewerCardsMessage(ownHold.cardIds.length, quantity));
+        return false;
+      }
+    }
+
+    // Phase 2: pay for the held cards
     setPaymentStatus('Iniciando pago...');
+    let purchased = false;
 
     // Create AbortController for timeout
     const controller = new AbortController();
@@ -169,13 +236,16 @@ function Home() {
           quantity,
           wallet: user?.wallet,
           network: selectedNet,
+          roomId,
+          cardIds,
+          reservationId: reservationId || ownHold?.id,
         }),
         signal: controller.signal,
       });
 
       if (response.status === 402) {
         setError(`Pago rechazado o fallido. Por favor intenta de nuevo.`);
-        return;
+        return false;
       }
 
       if (!response.ok) {
@@ -193,6 +263,8 @@ function Home() {
 
       // Clear success message after 3 seconds
       setTimeout(() => setPaymentStatus(null), 3000);
+      purchased = true;
+      return true;
     } catch (err) {
       clearTimeout(timeoutId);
       const errMsg = err.message?.toLowerCase() || '';
@@ -210,8 +282,14 @@ function Home() {
       } else {
         setError(`Error: ${err.message}`);
       }
+      return false;
     } finally {
       clearTimeout(timeoutId);
+      // The hold was consumed by the purchase, or is given back after a rejected/timed out signature
+      if (ownHold) {
+        if (purchased) clearHold();
+        else releaseHold(ownHold);
+      }
       isPurchasingRef.current = false;
       setPurchasing(false);
       if (!paymentStatus?.includes('exitosa')) {
@@ -220,13 +298,26 @@ function Home() {
     }
   };
 
+  // Scheduled game started - go to its live board (unless a payment is in flight)
+  const handleScheduledStart = useCallback((game) => {
+    if (isPurchasingRef.current) return;
+    navigate(`/bingo-live/${game.roomId || roomId}`);
+  }, [navigate, roomId]);
+
   const handleClearPurchased = () => {
     setPurchasedCards([]);
   };
 
-  // Check if purchases are blocked (game in progress)
-  const canPurchase = gameState?.canPurchase !== false;
-  const gameInProgress = gameState?.status === 'playing' || gameState?.status === 'paused';
+  // Check if purchases are blocked (game in progress in the selected room)
+  const roomState = selectedRoom || (joinedRoomId === roomId ? gameState : null);
+  const gameInProgress = isGameInProgress(roomState?.status);
+  const canPurchase = roomState?.canPurchase ?? !gameInProgress;
+  // 75 / 90 / 30 balls depending on the room's variant
+  const variant = getVariant(roomState?.variant);
+
+  // Prize pool of the selected room (room list first, live game state as fallback)
+  const prizePool = getPrizePool(selectedRoom)
+    || (joinedRoomId === roomId ? getPrizePool({ ...gameState, cardPrice: gameState?.cardPrice ?? cardPrice }) : null);
 
   return (
     <div className="home">
@@ -277,16 +368,56 @@ function Home() {
               </div>
               <div className="stat-divider" />
               <div className="stat">
-                <span className="stat-value">${config.cardPrice}</span>
+                <span className="stat-value">${cardPrice}</span>
                 <span className="stat-label">Por carton</span>
               </div>
+              {prizePool && (
+                <>
+                  <div className="stat-divider" />
+                  <div className="stat prize-stat">
+                    <motion.span
+                      key={prizePool.net}
+                      className="stat-value"
+                      initial={{ scale: 1.2 }}
+                      animate={{ scale: 1 }}
+                    >
+                      {formatUsdc(prizePool.net)}
+                    </motion.span>
+                    <span className="stat-label">Bote actual</span>
+                  </div>
+                </>
+              )}
               <div className="stat-divider" />
               <div className="stat">
-                <span className="stat-value">75</span>
+                <span className="stat-value">{variant.totalNumbers}</span>
                 <span className="stat-label">Numeros en juego</span>
               </div>
             </motion.div>
 
+            {/* Room Selector - only when there is more than one room */}
+            {rooms.length > 1 && (
+              <motion.div
+                className="network-selector room-selector"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.7 }}
+              >
+                <span className="network-label">Sala:</span>
+                <div className="network-buttons">
+                  {rooms.map((room) => (
+                    <button
+                      key={room.id}
+                      className={`network-btn ${roomId === room.id ? 'active' : ''}`}
+                      onClick={() => handleRoomChange(room.id)}
+                    >
+                      <span className="network-name">{room.name || room.id}</span>
+                      <span className="room-price">${getRoomCardPrice(room)}</span>
+                    </button>
+                  ))}
+                </div>
+              </motion.div>
+            )}
+
             {/* Network Selector */}
             <motion.div
               className="network-selector"
@@ -478,7 +609,7 @@ function Home() {
                     <p className="game-alert-sub">¡Espera a que termine la partida actual para comprar más cartones!</p>
                   </div>
                   <motion.a
-                    href="/bingo-live"
+                    href={`/bingo-live/${roomId}`}
                     className="watch-game-btn"
                     whileHover={{ scale: 1.05 }}
                     whileTap={{ scale: 0.95 }}
@@ -494,6 +625,11 @@ function Home() {
           )}
         </AnimatePresence>
 
+        {/* Upcoming scheduled games */}
+        <section className="schedule-section">
+          <ScheduledGames roomId={roomId} onGameStart={handleScheduledStart} />
+        </section>
+
         {/* Cards Section */}
         <section className={`cards-section ${!canPurchase ? 'disabled' : ''}`}>
           <motion.div
@@ -513,14 +649,49 @@ function Home() {
             )}
           </motion.div>
 
-          <CardQuantitySelector
-            onPurchase={handlePurchase}
-            purchasing={purchasing}
-            isLoggedIn={isLoggedIn}
-            purchasedCards={purchasedCards}
-            onClearPurchased={handleClearPurchased}
-            disabled={!canPurchase}
-          />
+          {/* Random assignment or browse-and-pick */}
+          {purchasedCards.length === 0 && (
+            <div className="purchase-mode-toggle">
+              <button
+                className={`purchase-mode-btn ${purchaseMode === 'random' ? 'active' : ''}`}
+                onClick={() => setPurchaseMode('random')}
+              >
+                🎲 Al azar
+              </button>
+              <button
+                className={`purchase-mode-btn ${purchaseMode === 'pick' ? 'active' : ''}`}
+                onClick={() => setPurchaseMode('pick')}
+              >
+                🍀 Elegir mis cartones
+              </button>
+            </div>
+          )}
+
+          {purchaseMode === 'pick' && purchasedCards.length === 0 ? (
+            <CardPicker
+              roomId={roomId}
+              onPurchase={handlePurchase}
+              onLogin={openLoginModal}
+              purchasing={purchasing}
+              isLoggedIn={isLoggedIn}
+              disabled={!canPurchase}
+              pricePerCard={cardPrice}
+              maxNumber={variant.totalNumbers}
+            />
+          ) : (
+            <CardQuantitySelector
+              onPurchase={handlePurchase}
+              purchasing={purchasing}
+              isLoggedIn={isLoggedIn}
+              purchasedCards={purchasedCards}
+              onClearPurchased={handleClearPurchased}
+              disabled={!canPurchase}
+              pricePerCard={cardPrice}
+              availableCount={availableCount}
+              heldCount={hold?.cardIds.length || 0}
+              holdSecondsLeft={holdSecondsLeft}
+            />
+          )}
         </section>
       </div>
     </div>
@@ -0,0 +1,112 @@
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useRooms, getRoomCardPrice } from '../hooks';
+import { AnimatedBackground, GlassCard, GlowButton } from '../components/ui';
+import './Lobby.css';
+
+const STATUS_LABELS = {
+  waiting: 'Esperando',
+  playing: 'En juego',
+  paused: 'Pausado',
+  ended: 'Terminado',
+};
+
+function Lobby() {
+  const { rooms, loading, error, refresh } = useRooms();
+
+  return (
+    <div className="lobby-page">
+      <AnimatedBackground />
+
+      <div className="container lobby-content">
+        {/* Header */}
+        <motion.header
+          className="lobby-header"
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          <div className="header-badge">
+            <span>Lobby</span>
+          </div>
+          <h1>Salas de Bingo</h1>
+          <p>Elige una sala para jugar en vivo o comprar cartones</p>
+        </motion.header>
+
+        {error && (
+          <div className="lobby-error">
+            {error}
+            <button className="lobby-retry-btn" onClick={refresh}>Reintentar</button>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="rooms-grid">
+            {[...Array(3)].map((_, i) => (
+              <motion.div
+                key={i}
+                className="room-card-skeleton"
+                initial={{ opacity: 0 }}
+                animate={{ opacity: [0.3, 0.6, 0.3] }}
+                transition={{ duration: 1.5, repeat: Infinity, delay: i * 0.1 }}
+              />
+            ))}
+          </div>
+        ) : rooms.length === 0 && !error ? (
+          <GlassCard className="no-rooms">
+            <div className="no-rooms-icon">🎱</div>
+            <p>No hay salas activas en este momento</p>
+          </GlassCard>
+        ) : (
+          <div className="rooms-grid">
+            {rooms.map((room, index) => (
+              <motion.div
+                key={room.id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: index * 0.08 }}
+              >
+                <GlassCard className={`room-card ${room.status || 'waiting'}`}>
+                  <div className="room-card-header">
+                    <h3>{room.name || room.id}</h3>
+                    <span className="room-status" data-status={room.status || 'waiting'}>
+                      {STATUS_LABELS[room.status] || STATUS_LABELS.waiting}
+                    </span>
+                  </div>
+
+                  <div className="room-stats">
+                    <div className="room-stat">
+                      <span className="room-stat-value">{room.playerCount ?? 0}</span>
+                      <span className="room-stat-label">Jugadores</span>
+                    </div>
+                    <div className="room-stat">
+                      <span className="room-stat-value">${getRoomCardPrice(room)}</span>
+                      <span className="room-stat-label">Por cartón</span>
+                    </div>
+                    <div className="room-stat">
+                      <span className="room-stat-value">{room.patternName || room.gameMode || '—'}</span>
+                      <span className="room-stat-label">Modo</span>
+                    </div>
+                  </div>
+
+                  {room.language && <span className="room-language">🌐 {room.language}</span>}
+
+                  <div className="room-actions">
+                    <Link to={`/bingo-live/${room.id}`}>
+                      <GlowButton size="sm">Entrar</GlowButton>
+                    </Link>
+                    <Link to={`/?sala=${encodeURIComponent(room.id)}`}>
+                      <GlowButton size="sm" variant="outline">Comprar cartones</GlowButton>
+                    </Link>
+                  </div>
+                </GlassCard>
+              </motion.div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Lobby;
@@ -1,10 +1,14 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../context/AuthContext';
-import { BingoCard } from '../components/bingo';
+import { useCardGifts } from '../hooks';
+import { BingoCard, CardQrCode } from '../components/bingo';
 import { AnimatedBackground, GlassCard, GlowButton } from '../components/ui';
 import { config } from '../config';
+import { getMyCards, isAbortError } from '../services/api';
+import { PRINT_PAGE_SIZES, PRINT_CARDS_PER_PAGE, printCards } from '../utils/printCards';
+import { getGiftBlockReason, isCardGiftable, parseGiftRecipient, formatGiftRecipient } from '../utils/cardGifts';
 import './MyCards.css';
 
 function MyCards() {
@@ -12,8 +16,77 @@ function MyCards() {
   const [cards, setCards] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  // Card selection for printing or gifting
+  const [selectionMode, setSelectionMode] = useState(null); // 'print' | 'gift'
+  const [selectedIds, setSelectedIds] = useState([]);
+  const giftMode = selectionMode === 'gift';
+
+  // Print export - pick cards, then print or save as PDF from the browser dialog
+  const [printOptions, setPrintOptions] = useState({ pageSize: 'A4', perPage: 4, monochrome: false });
+  const [printing, setPrinting] = useState(false);
+
+  // Gifts - pick unused cards and a recipient, then confirm with a wallet signature
+  const { receivedGifts, sendGift, dismissGifts, sending } = useCardGifts();
+  const [giftRecipient, setGiftRecipient] = useState('');
+  const [confirmingGift, setConfirmingGift] = useState(false);
+  const recipient = useMemo(() => parseGiftRecipient(giftRecipient), [giftRecipient]);
+
+  // Card whose verification QR is open
+  const [qrCard, setQrCard] = useState(null);
+
+  const toggleCardSelection = useCallback((card) => {
+    if (selectionMode === 'gift' && !isCardGiftable(card)) return;
+    setSelectedIds((prev) => (
+      prev.includes(card.id) ? prev.filter((id) => id !== card.id) : [...prev, card.id]
+    ));
+  }, [selectionMode]);
+
+  const closeSelection = useCallback(() => {
+    setSelectionMode(null);
+    setSelectedIds([]);
+    setGiftRecipient('');
+    setConfirmingGift(false);
+  }, []);
+
+  const handleGift = useCallback(async () => {
+    if (!recipient || selectedIds.length === 0) return;
+
+    try {
+      await sendGift(selectedIds, recipient);
+      setCards((prev) => prev.filter((card) => !selectedIds.includes(card.id)));
+      setNotice(`Regalaste ${selectedIds.length} cartón${selectedIds.length === 1 ? '' : 'es'} a ${formatGiftRecipient(recipient)}`);
+      closeSelection();
+    } catch (err) {
+      setConfirmingGift(false);
+      setError(err.shortMessage || err.message || 'Error regalando los cartones');
+      console.error(err);
+    }
+  }, [recipient, selectedIds, sendGift, closeSelection]);
+
+  // Only unused cards can be gifted
+  const giftableCards = useMemo(() => cards.filter(isCardGiftable), [cards]);
+  const selectableCards = giftMode ? giftableCards : cards;
+
+  const handlePrint = useCallback(async () => {
+    const selectedCards = cards.filter((card) => selectedIds.includes(card.id));
+    if (selectedCards.length === 0) return;
+
+    setPrinting(true);
+    try {
+      await printCards(selectedCards, printOptions);
+    } catch (err) {
+      setError('Error preparando la impresión');
+      console.error(err);
+    } finally {
+      setPrinting(false);
+    }
+  }, [cards, selectedIds, printOptions]);
 
   useEffect(() => {
+    const controller = new AbortController();
+
     async function fetchCards() {
       if (!user?.token) {
         setLoading(false);
@@ -21,23 +94,19 @@ function MyCards() {
       }
 
       try {
-        const response = await fetch(`${config.apiUrl}/api/cards/my-cards`, {
-          headers: {
-            Authorization: `Bearer ${user.token}`,
-          },
-        });
-        if (!response.ok) throw new Error('Error fetching cards');
-        const data = await response.json();
-        setCards(data.cards || []);
+        setCards(await getMyCards({}, { signal: controller.signal }));
       } catch (err) {
-        setError('Error cargando tus cartones');
+        if (isAbortError(err)) return;
+        // An expired session already re-opened the login modal with its own message
+        if (!err.sessionExpired) setError(err.message);
         console.error(err);
       } finally {
-        setLoading(false);
+        if (!controller.signal.aborted) setLoading(false);
       }
     }
 
     fetchCards();
+    return () => controller.abort();
   }, [user]);
 
   if (!isLoggedIn) {
@@ -102,6 +171,49 @@ function MyCards() {
           <p>Gestiona y visualiza todos tus cartones de bingo</p>
         </motion.header>
 
+        {/* Received gifts */}
+        <AnimatePresence>
+          {receivedGifts.length > 0 && (
+            <motion.div
+              className="gift-notice"
+              initial={{ opacity: 0, y: -20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -20 }}
+            >
+              <span className="gift-notice-icon">🎁</span>
+              <ul>
+                {receivedGifts.map((gift) => (
+                  <li key={gift.id}>
+                    <strong>@{gift.fromUsername || 'Anónimo'}</strong> te regaló{' '}
+                    {gift.cardIds?.length || 1} cartón{gift.cardIds?.length === 1 ? '' : 'es'}
+                  </li>
+                ))}
+              </ul>
+              <button className="print-link-btn" onClick={dismissGifts}>
+                Entendido
+              </button>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Success message */}
+        <AnimatePresence>
+          {notice && (
+            <motion.div
+              className="gift-notice sent"
+              initial={{ opacity: 0, y: -20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -20 }}
+            >
+              <span className="gift-notice-icon">✓</span>
+              <span>{notice}</span>
+              <button className="print-link-btn" onClick={() => setNotice(null)}>
+                Cerrar
+              </button>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
         {/* Error message */}
         <AnimatePresence>
           {error && (
@@ -193,6 +305,97 @@ function MyCards() {
               </GlassCard>
             </motion.div>
 
+            {/* Print export and gifts */}
+            <GlassCard className="print-panel">
+              {!selectionMode ? (
+                <div className="print-panel-row">
+                  <span>¿Juegas en persona? Imprime tus cartones o guárdalos en PDF. También puedes regalarlos a un amigo.</span>
+                  <div className="print-panel-actions">
+                    <GlowButton variant="outline" onClick={() => setSelectionMode('print')}>
+                      Imprimir cartones
+                    </GlowButton>
+                    <GlowButton variant="outline" onClick={() => setSelectionMode('gift')} disabled={giftableCards.length === 0}>
+                      Regalar cartones
+                    </GlowButton>
+                  </div>
+                </div>
+              ) : (
+                <>
+                  <div className="print-panel-row">
+                    <span>
+                      {selectedIds.length} de {selectableCards.length} seleccionado{selectedIds.length === 1 ? '' : 's'}
+                    </span>
+                    <div className="print-panel-actions">
+                      <button
+                        className="print-link-btn"
+                        onClick={() => setSelectedIds(selectedIds.length === selectableCards.length ? [] : selectableCards.map((card) => card.id))}
+                      >
+                        {selectedIds.length === selectableCards.length ? 'Quitar selección' : 'Seleccionar todos'}
+                      </button>
+                      <button className="print-link-btn" onClick={closeSelection}>
+                        Cancelar
+                      </button>
+                    </div>
+                  </div>
+                  {giftMode ? (
+                    <div className="print-options">
+                      <label className="gift-recipient">
+                        Para
+                        <input
+                          type="text"
+                          value={giftRecipient}
+                          onChange={(e) => setGiftRecipient(e.target.value)}
+                          placeholder="@usuario o wallet 0x..."
+                        />
+                      </label>
+                      <GlowButton
+                        onClick={() => setConfirmingGift(true)}
+                        disabled={selectedIds.length === 0 || !recipient}
+                      >
+                        Regalar
+                      </GlowButton>
+                    </div>
+                  ) : (
+                    <div className="print-options">
+                      <label>
+                        Papel
+                        <select
+                          value={printOptions.pageSize}
+                          onChange={(e) => setPrintOptions((prev) => ({ ...prev, pageSize: e.target.value }))}
+                        >
+                          {Object.entries(PRINT_PAGE_SIZES).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                          ))}
+                        </select>
+                      </label>
+                      <label>
+                        Cartones por página
+                        <select
+                          value={printOptions.perPage}
+                          onChange={(e) => setPrintOptions((prev) => ({ ...prev, perPage: Number(e.target.value) }))}
+                        >
+                          {PRINT_CARDS_PER_PAGE.map((count) => (
+                            <option key={count} value={count}>{count}</option>
+                          ))}
+                        </select>
+                      </label>
+                      <label className="print-checkbox">
+                        <input
+                          type="checkbox"
+                          checked={printOptions.monochrome}
+                          onChange={(e) => setPrintOptions((prev) => ({ ...prev, monochrome: e.target.checked }))}
+                        />
+                        Blanco y negro
+                      </label>
+                      <GlowButton onClick={handlePrint} disabled={selectedIds.length === 0 || printing}>
+                        {printing ? 'Preparando...' : 'Imprimir / PDF'}
+                      </GlowButton>
+                    </div>
+                  )}
+                </>
+              )}
+            </GlassCard>
+
             {/* Cards grid */}
             <motion.div
               className="cards-grid"
@@ -201,19 +404,103 @@ function MyCards() {
               transition={{ delay: 0.3 }}
             >
               <AnimatePresence>
-                {cards.map((card, index) => (
-                  <BingoCard
-                    key={card.id}
-                    card={card}
-                    showStamp={false}
-                    index={index}
-                  />
-                ))}
+                {cards.map((card, index) => {
+                  const giftBlockReason = giftMode ? getGiftBlockReason(card) : null;
+                  return (
+                    <div key={card.id} className={`my-card-item ${giftBlockReason ? 'locked' : ''}`}>
+                      <BingoCard
+                        card={card}
+                        showStamp={false}
+                        index={index}
+                        selectable={!!selectionMode && !giftBlockReason}
+                        selected={!!selectionMode && selectedIds.includes(card.id)}
+                        onSelect={toggleCardSelection}
+                      />
+                      {giftBlockReason && <span className="card-locked-reason">{giftBlockReason}</span>}
+                      {!selectionMode && (
+                        <button className="card-qr-btn" onClick={() => setQrCard(card)}>
+                          Ver QR
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
               </AnimatePresence>
             </motion.div>
           </>
         )}
 
+        {/* Gift confirmation - the owner's wallet signs the transfer */}
+        <AnimatePresence>
+          {confirmingGift && recipient && (
+            <motion.div
+              className="card-qr-overlay"
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              onClick={() => !sending && setConfirmingGift(false)}
+            >
+              <motion.div
+                initial={{ scale: 0.9 }}
+                animate={{ scale: 1 }}
+                exit={{ scale: 0.9 }}
+                onClick={(e) => e.stopPropagation()}
+              >
+                <GlassCard className="card-qr-modal" glow>
+                  <h3>Confirmar regalo</h3>
+                  <p>
+                    Vas a regalar {selectedIds.length} cartón{selectedIds.length === 1 ? '' : 'es'} a{' '}
+                    <strong>{formatGiftRecipient(recipient)}</strong>. Dejarán de ser tuyos.
+                  </p>
+                  <ul className="gift-card-list">
+                    {selectedIds.map((id) => (
+                      <li key={id}>#{id.slice(-6)}</li>
+                    ))}
+                  </ul>
+                  <p>Tu wallet te pedirá firmar un mensaje para confirmarlo.</p>
+                  <div className="print-panel-actions">
+                    <GlowButton variant="secondary" onClick={() => setConfirmingGift(false)} disabled={sending}>
+                      Cancelar
+                    </GlowButton>
+                    <GlowButton onClick={handleGift} disabled={sending}>
+                      {sending ? 'Esperando firma...' : 'Firmar y regalar'}
+                    </GlowButton>
+                  </div>
+                </GlassCard>
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Verification QR */}
+        <AnimatePresence>
+          {qrCard && (
+            <motion.div
+              className="card-qr-overlay"
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              onClick={() => setQrCard(null)}
+            >
+              <motion.div
+                initial={{ scale: 0.9 }}
+                animate={{ scale: 1 }}
+                exit={{ scale: 0.9 }}
+                onClick={(e) => e.stopPropagation()}
+              >
+                <GlassCard className="card-qr-modal" glow>
+                  <h3>Cartón #{qrCard.id.slice(-6)}</h3>
+                  <p>Escanea este código para verificar el cartón</p>
+                  <CardQrCode cardId={qrCard.id} size={220} />
+                  <GlowButton variant="secondary" onClick={() => setQrCard(null)}>
+                    Cerrar
+                  </GlowButton>
+                </GlassCard>
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
         {/* CTA Section */}
         {cards.length > 0 && (
           <motion.div
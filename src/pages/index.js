@@ -2,3 +2,6 @@ export { default as Home } from './Home';
 export { default as BingoLive } from './BingoLive';
 export { default as MyCards } from './MyCards';
 export { default as Admin } from './Admin';
+export { default as GameReplay } from './GameReplay';
+export { default as Lobby } from './Lobby';
+export { default as CardVerification } from './CardVerification';
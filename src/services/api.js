@@ -0,0 +1,583 @@
+/**
+ * API de UltraBingo
+ *
+ * Una función por endpoint del backend, para que las páginas no construyan
+ * URLs ni interpreten errores por su cuenta:
+ *
+ * - Todas lanzan `ApiError` (mensaje para mostrar, `status`, `code` y el
+ *   cuerpo de la respuesta en `data`).
+ * - Todas aceptan `{ signal }` de un AbortController para cancelar.
+ * - Las lecturas (GET) se reintentan si falla la red o el servidor (5xx).
+ * - Las de `/api/admin` usan la sesión del jugador; el panel de administración
+ *   pasa `{ scope: 'admin' }`.
+ *
+ * Las peticiones salen por el transporte de services/apiClient, que se puede
+ * sustituir con `setTransport` para usar un servidor local o un stub.
+ */
+
+import { authFetch, publicFetch } from './apiClient';
+
+export { setTransport } from './apiClient';
+
+// Reintentos de las peticiones GET y espera antes del primero (se duplica en cada intento)
+const GET_RETRIES = 2;
+const RETRY_DELAY_MS = 500;
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Mensaje para mostrar al usuario
+   * @param {Object} details
+   * @param {number} [details.status] - Código HTTP (0 si no hubo respuesta)
+   * @param {'http' | 'network' | 'aborted' | 'session_expired'} [details.code]
+   * @param {Object} [details.data] - Cuerpo de la respuesta de error
+   */
+  constructor(message, { status = 0, code = 'http', data = {} } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.sessionExpired = code === 'session_expired';
+  }
+}
+
+/**
+ * La petición se canceló con su AbortController
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.code === 'aborted' || error?.name === 'AbortError';
+}
+
+// Wait before retrying, unless the request is cancelled meanwhile
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ApiError('Petición cancelada', { code: 'aborted' }));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function buildPath(path, query) {
+  if (!query) return path;
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+  });
+  const search = params.toString();
+  return search ? `${path}?${search}` : path;
+}
+
+/**
+ * Petición a la API con errores, cancelación y reintentos uniformes
+ * @param {string} path - Ruta de la API (/api/...)
+ * @param {Object} options
+ * @param {string} [options.method] - GET por defecto
+ * @param {Object} [options.query] - Parámetros de la URL (se omiten los vacíos)
+ * @param {Object} [options.body] - Cuerpo JSON
+ * @param {boolean} [options.auth] - Enviar el token de la sesión (true por defecto)
+ * @param {'user' | 'admin'} [options.scope] - Sesión con la que se autentica
+ * @param {Object} [options.headers] - Cabeceras adicionales
+ * @param {AbortSignal} [options.signal] - Para cancelar la petición
+ * @param {boolean} [options.keepalive] - Terminar la petición aunque se cierre la página
+ * @param {number} [options.retries] - Reintentos (GET_RETRIES para GET, 0 para el resto)
+ * @param {string} [options.errorMessage] - Mensaje si el backend no envía uno
+ * @returns {Promise<any>} Cuerpo JSON de la respuesta (null si no tiene)
+ * @throws {ApiError}
+ */
+export async function request(path, {
+  method = 'GET',
+  query,
+  body,
+  auth = true,
+  scope = 'user',
+  headers,
+  signal,
+  keepalive,
+  retries = method === 'GET' ? GET_RETRIES : 0,
+  errorMessage = 'Error de conexión con el servidor',
+} = {}) {
+  const url = buildPath(path, query);
+  const init = {
+    method,
+    signal,
+    keepalive,
+    headers: {
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...headers,
+    },
+    ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = auth ? await authFetch(url, { ...init, scope }) : await publicFetch(url, init);
+    } catch (err) {
+      if (isAbortError(err)) throw new ApiError('Petición cancelada', { code: 'aborted' });
+      if (err.sessionExpired) throw new ApiError(err.message, { status: 401, code: 'session_expired' });
+      if (attempt < retries) {
+        await wait(RETRY_DELAY_MS * 2 ** attempt, signal);
+        continue;
+      }
+      throw new ApiError(errorMessage, { code: 'network' });
+    }
+
+    if (response.ok) {
+      if (response.status === 204) return null;
+      return response.json().catch(() => null);
+    }
+
+    if (response.status >= 500 && attempt < retries) {
+      await wait(RETRY_DELAY_MS * 2 ** attempt, signal);
+      continue;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    throw new ApiError(data.error || errorMessage, { status: response.status, data });
+  }
+}
+
+// --- Auth ---
+
+/**
+ * Nonce de un solo uso para firmar el login (SIWE)
+ * @param {string} wallet
+ * @returns {Promise<string>}
+ */
+export async function getLoginNonce(wallet, options) {
+  const data = await request('/api/auth/nonce', {
+    ...options,
+    auth: false,
+    query: { wallet },
+    errorMessage: 'Error obteniendo el nonce',
+  });
+  return data.nonce;
+}
+
+/**
+ * Verificar la firma del login
+ * @param {{ username: string, message: string, signature: string }} login
+ * @returns {Promise<{ token: string, expiresAt?: string, user: Object }>}
+ */
+export function verifyLogin(login, options) {
+  return request('/api/auth/verify', {
+    ...options,
+    method: 'POST',
+    auth: false,
+    body: login,
+    errorMessage: 'Error verificando la firma',
+  });
+}
+
+/**
+ * Cambiar el token del jugador por uno nuevo
+ * @param {string} token - Token actual
+ * @returns {Promise<{ token: string, expiresAt?: string }>}
+ */
+export function refreshSession(token, options) {
+  return request('/api/auth/refresh', {
+    ...options,
+    method: 'POST',
+    auth: false,
+    headers: { Authorization: `Bearer ${token}` },
+    errorMessage: 'No se pudo renovar la sesión',
+  });
+}
+
+// --- Cards ---
+
+/**
+ * Cartones del jugador
+ * @param {{ roomId?: string, gameId?: string }} [filter]
+ * @returns {Promise<Object[]>}
+ */
+export async function getMyCards({ roomId, gameId } = {}, options) {
+  const data = await request('/api/cards/my-cards', {
+    ...options,
+    query: { roomId, gameId },
+    errorMessage: 'Error cargando tus cartones',
+  });
+  return data?.cards || [];
+}
+
+/**
+ * Cartones sin vender de una sala
+ * @param {{ roomId: string, page?: number, limit?: number, contains?: string }} filter
+ * @returns {Promise<{ cards: Object[], total: number, totalPages?: number }>}
+ */
+export function getAvailableCards({ roomId, page, limit, contains }, options) {
+  return request('/api/cards/available', {
+    ...options,
+    auth: false,
+    query: { roomId, page, limit, contains },
+    errorMessage: 'Error cargando los cartones disponibles',
+  });
+}
+
+/**
+ * Datos públicos de un cartón (página de verificación)
+ * @param {string} cardId
+ * @returns {Promise<Object>}
+ */
+export function getPublicCard(cardId, options) {
+  return request(`/api/cards/${encodeURIComponent(cardId)}/public`, {
+    ...options,
+    auth: false,
+    errorMessage: 'Error cargando el cartón',
+  });
+}
+
+/**
+ * Buscar un cartón por su ID
+ * @param {string} cardId
+ * @returns {Promise<Object>} { card, ... }
+ */
+export function searchCard(cardId, options) {
+  return request('/api/admin/cards/search', {
+    ...options,
+    query: { cardId },
+    errorMessage: 'Cartón no encontrado',
+  });
+}
+
+/**
+ * Buscar cartones por ID, usuario o wallet
+ * @param {string} query
+ * @returns {Promise<Object[]>}
+ */
+export async function searchCards(query, options) {
+  const data = await request('/api/admin/cards/search', {
+    ...options,
+    query: { query },
+    errorMessage: 'Error buscando cartones',
+  });
+  return data?.cards || [];
+}
+
+/**
+ * Detalles de un cartón con la comprobación de ganador
+ * @param {string} cardId
+ * @returns {Promise<Object>}
+ */
+export function getCardDetails(cardId, options) {
+  return request(`/api/admin/cards/${encodeURIComponent(cardId)}/details`, {
+    ...options,
+    errorMessage: 'Error obteniendo detalles del cartón',
+  });
+}
+
+/**
+ * Reservar cartones mientras el jugador paga
+ * @param {{ roomId: string, cardIds?: string[], quantity?: number }} hold
+ * @returns {Promise<Object>} La reserva; si no hay suficientes, `error.data.available`
+ */
+export function reserveCards({ roomId, cardIds, quantity }, options) {
+  return request('/api/cards/reserve', {
+    ...options,
+    method: 'POST',
+    body: { roomId, cardIds, quantity },
+    errorMessage: 'Error reservando los cartones',
+  });
+}
+
+/**
+ * Liberar una reserva
+ * @param {string} reservationId
+ */
+export function releaseReservation(reservationId, options) {
+  return request(`/api/cards/reserve/${encodeURIComponent(reservationId)}`, {
+    ...options,
+    method: 'DELETE',
+    errorMessage: 'Error liberando la reserva',
+  });
+}
+
+/**
+ * Regalos recibidos que el jugador aún no ha visto
+ * @returns {Promise<Object[]>}
+ */
+export async function getReceivedGifts(options) {
+  const data = await request('/api/cards/gifts/received', {
+    ...options,
+    errorMessage: 'Error cargando los regalos',
+  });
+  return data?.gifts || [];
+}
+
+/**
+ * Regalar cartones (firmado por la wallet del dueño)
+ * @param {{ cardIds: string[], recipient: Object, message: string, signature: string }} gift
+ * @returns {Promise<Object>}
+ */
+export function sendCardGift(gift, options) {
+  return request('/api/cards/gift', {
+    ...options,
+    method: 'POST',
+    body: gift,
+    errorMessage: 'Error regalando los cartones',
+  });
+}
+
+/**
+ * Marcar regalos como vistos
+ * @param {string[]} giftIds
+ */
+export function markGiftsSeen(giftIds, options) {
+  return request('/api/cards/gifts/seen', {
+    ...options,
+    method: 'POST',
+    body: { giftIds },
+  });
+}
+
+// --- Game ---
+
+/**
+ * Salas de juego
+ * @returns {Promise<Object[]>}
+ */
+export async function getRooms(options) {
+  const data = await request('/api/rooms', {
+    ...options,
+    auth: false,
+    errorMessage: 'Error cargando las salas',
+  });
+  return data?.rooms || [];
+}
+
+/**
+ * Modos de juego (patrones ULTRA y personalizados)
+ * @returns {Promise<Object[]>}
+ */
+export async function getGameModes(options) {
+  const data = await request('/api/game/modes', {
+    ...options,
+    auth: false,
+    errorMessage: 'Error cargando los modos de juego',
+  });
+  return data?.modes || [];
+}
+
+/**
+ * Partidas programadas
+ * @param {{ roomId?: string }} [filter]
+ * @returns {Promise<Object[]>}
+ */
+export async function getSchedule({ roomId } = {}, options) {
+  const data = await request('/api/games/schedule', {
+    ...options,
+    auth: false,
+    query: { roomId },
+    errorMessage: 'Error cargando las próximas partidas',
+  });
+  return data?.games || [];
+}
+
+/**
+ * Últimos ganadores
+ * @param {{ limit?: number }} [filter]
+ * @returns {Promise<Object[]>}
+ */
+export async function getWinners({ limit = 10 } = {}, options) {
+  const data = await request('/api/game/winners', {
+    ...options,
+    auth: false,
+    query: { limit },
+    errorMessage: 'Error cargando ganadores',
+  });
+  return data?.winners || [];
+}
+
+/**
+ * Historial de una partida terminada para repetirla
+ * @param {string} gameId
+ * @returns {Promise<Object>}
+ */
+export function getGameReplay(gameId, options) {
+  return request(`/api/game/history/${encodeURIComponent(gameId)}`, {
+    ...options,
+    auth: false,
+    errorMessage: 'Error cargando la partida',
+  });
+}
+
+// --- Admin ---
+
+/**
+ * Validar el token del panel de administración
+ * @param {string} token
+ * @returns {Promise<boolean>}
+ */
+export async function validateAdminToken(token, options) {
+  try {
+    await request('/api/admin/validate', {
+      ...options,
+      auth: false,
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return true;
+  } catch (err) {
+    if (err.status) return false;
+    throw err;
+  }
+}
+
+/**
+ * Cambiar el token del panel de administración por uno nuevo
+ * @param {string} token - Token actual
+ * @returns {Promise<{ token: string }>}
+ */
+export function refreshAdminSession(token, options) {
+  return request('/api/admin/refresh', {
+    ...options,
+    method: 'POST',
+    auth: false,
+    headers: { Authorization: `Bearer ${token}` },
+    errorMessage: 'No se pudo renovar la sesión',
+  });
+}
+
+/**
+ * Login del panel de administración
+ * @param {{ password: string, wallet: string }} credentials
+ * @returns {Promise<{ token: string }>}
+ */
+export function adminLogin(credentials, options) {
+  return request('/api/admin/login', {
+    ...options,
+    method: 'POST',
+    auth: false,
+    body: credentials,
+    errorMessage: 'Credenciales incorrectas',
+  });
+}
+
+/**
+ * Usuarios registrados
+ * @param {{ limit?: number }} [filter]
+ * @returns {Promise<Object[]>}
+ */
+export async function getUsers({ limit = 50 } = {}, options) {
+  const data = await request('/api/admin/users', {
+    ...options,
+    query: { limit },
+    errorMessage: 'Error al cargar usuarios',
+  });
+  return data?.users || [];
+}
+
+/**
+ * Cambiar el modo de juego de una sala
+ * @param {{ mode: string, roomId: string }} change
+ * @returns {Promise<Object>}
+ */
+export function setGameMode({ mode, roomId }, options) {
+  return request('/api/admin/game/mode', {
+    ...options,
+    method: 'POST',
+    body: { mode, roomId },
+    errorMessage: 'Error cambiando el modo de juego',
+  });
+}
+
+/**
+ * Reiniciar el juego de una sala (números cantados)
+ * @param {{ roomId: string }} target
+ * @returns {Promise<Object>} { state }
+ */
+export function resetGame({ roomId }, options) {
+  return request('/api/admin/game/reset', {
+    ...options,
+    method: 'POST',
+    body: { roomId },
+    errorMessage: 'Error al reiniciar juego',
+  });
+}
+
+/**
+ * Eliminar los cartones comprados y generar nuevos
+ * @param {{ roomId: string, generateCount?: number }} target
+ * @returns {Promise<Object>} { deletedPurchased, availableCards }
+ */
+export function resetCards({ roomId, generateCount = 100 }, options) {
+  return request('/api/admin/cards/reset', {
+    ...options,
+    method: 'POST',
+    body: { generateCount, roomId },
+    errorMessage: 'Error al reiniciar cartones',
+  });
+}
+
+/**
+ * Reiniciar juego y cartones
+ * @param {{ roomId: string, generateCount?: number }} target
+ * @returns {Promise<Object>} { game, cards }
+ */
+export function fullReset({ roomId, generateCount = 100 }, options) {
+  return request('/api/admin/full-reset', {
+    ...options,
+    method: 'POST',
+    body: { generateCount, roomId },
+    errorMessage: 'Error en reset completo',
+  });
+}
+
+/**
+ * Programar una partida
+ * @param {Object} game - { roomId, startsAt, cardPrice, variant, gameMode, title }
+ * @returns {Promise<Object>}
+ */
+export function scheduleGame(game, options) {
+  return request('/api/admin/games/schedule', {
+    ...options,
+    method: 'POST',
+    body: game,
+    errorMessage: 'Error programando la partida',
+  });
+}
+
+/**
+ * Cancelar una partida programada
+ * @param {string} gameId
+ */
+export function cancelScheduledGame(gameId, options) {
+  return request(`/api/admin/games/schedule/${encodeURIComponent(gameId)}`, {
+    ...options,
+    method: 'DELETE',
+    errorMessage: 'Error cancelando la partida',
+  });
+}
+
+/**
+ * Guardar un patrón personalizado
+ * @param {{ name: string, grid: boolean[][] }} pattern
+ * @returns {Promise<Object>}
+ */
+export function savePattern(pattern, options) {
+  return request('/api/admin/patterns', {
+    ...options,
+    method: 'POST',
+    body: pattern,
+    errorMessage: 'Error guardando el patrón',
+  });
+}
+
+/**
+ * Eliminar un patrón personalizado
+ * @param {string} patternKey
+ */
+export function deletePattern(patternKey, options) {
+  return request(`/api/admin/patterns/${encodeURIComponent(patternKey)}`, {
+    ...options,
+    method: 'DELETE',
+    errorMessage: 'Error eliminando el patrón',
+  });
+}
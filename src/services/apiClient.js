@@ -0,0 +1,124 @@
+/**
+ * Cliente HTTP autenticado para la API de UltraBingo
+ *
+ * Añade el token de la sesión a cada petición y, si el backend responde
+ * 401/403, intenta renovar el token una vez y repite la petición. Si no se
+ * puede renovar, avisa a la sesión para que cierre sesión y vuelva a pedir
+ * el login.
+ *
+ * Hay dos sesiones independientes: la del jugador ('user', AuthContext) y la
+ * del panel de administración ('admin', token `admin-token`).
+ *
+ * Todas las peticiones salen por `transport`, que se puede sustituir con
+ * `setTransport` para probar las páginas contra un servidor local o un stub.
+ */
+
+import { config } from '../config';
+
+// Handlers of each session: { getToken, refresh, onExpired }
+const sessions = {
+  user: null,
+  admin: null,
+};
+
+// Renovaciones en curso - varias peticiones con 401 comparten la misma
+const pendingRefresh = {};
+
+const defaultTransport = (url, options) => fetch(url, options);
+let transport = defaultTransport;
+
+/**
+ * Sustituye la función que envía las peticiones
+ * @param {((url: string, options: Object) => Promise<Response>) | null} next - null vuelve a fetch
+ */
+export function setTransport(next) {
+  transport = next || defaultTransport;
+}
+
+/**
+ * URL completa de una ruta de la API
+ * @param {string} path - Ruta de la API (/api/...) o URL completa
+ * @returns {string}
+ */
+export function getApiUrl(path) {
+  return path.startsWith('http') ? path : `${config.apiUrl}${path}`;
+}
+
+/**
+ * Petición sin token a través del transporte configurado
+ * @param {string} path - Ruta de la API (/api/...) o URL completa
+ * @param {Object} options - Opciones de fetch
+ * @returns {Promise<Response>}
+ */
+export function publicFetch(path, options = {}) {
+  return transport(getApiUrl(path), options);
+}
+
+export const SESSION_MESSAGES = {
+  expired: 'Tu sesión expiró. Inicia sesión de nuevo para continuar.',
+  revoked: 'Tu sesión ya no es válida. Inicia sesión de nuevo para continuar.',
+};
+
+/**
+ * Registra los handlers de una sesión
+ * @param {'user' | 'admin'} scope
+ * @param {Object} handlers
+ * @param {() => string | null} handlers.getToken - Token actual
+ * @param {() => Promise<string | null>} handlers.refresh - Nuevo token o null si no se pudo renovar
+ * @param {(message: string) => void} handlers.onExpired - Cerrar sesión y volver a pedir login
+ * @returns {() => void} Función para quitar el registro
+ */
+export function registerSession(scope, handlers) {
+  sessions[scope] = handlers;
+  return () => {
+    if (sessions[scope] === handlers) sessions[scope] = null;
+  };
+}
+
+// Renew the token once even if several requests fail at the same time
+function refreshSession(scope) {
+  if (!pendingRefresh[scope]) {
+    pendingRefresh[scope] = sessions[scope].refresh()
+      .catch(() => null)
+      .finally(() => {
+        delete pendingRefresh[scope];
+      });
+  }
+  return pendingRefresh[scope];
+}
+
+/**
+ * fetch con el token de la sesión y manejo de sesión expirada
+ * @param {string} path - Ruta de la API (/api/...) o URL completa
+ * @param {Object} options - Opciones de fetch más `scope` ('user' por defecto)
+ * @returns {Promise<Response>}
+ * @throws {Error} Con `sessionExpired: true` si hubo que cerrar la sesión
+ */
+export async function authFetch(path, { scope = 'user', ...options } = {}) {
+  const url = getApiUrl(path);
+  const send = (token) => transport(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+  });
+
+  const session = sessions[scope];
+  const response = await send(session?.getToken());
+  if (!session || (response.status !== 401 && response.status !== 403)) return response;
+
+  const token = await refreshSession(scope);
+  if (token) {
+    const retry = await send(token);
+    // A 403 with a fresh token is a real permission error, not a dead session
+    if (retry.status !== 401) return retry;
+  }
+
+  const message = response.status === 403 ? SESSION_MESSAGES.revoked : SESSION_MESSAGES.expired;
+  session.onExpired(message);
+
+  const error = new Error(message);
+  error.sessionExpired = true;
+  throw error;
+}
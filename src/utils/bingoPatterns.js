@@ -0,0 +1,351 @@
+/**
+ * Motor de patrones ULTRA para evaluar cartones en el cliente
+ *
+ * Funciones puras: reciben los números del cartón (columnas B/I/N/G/O con el
+ * centro FREE), los números cantados y el modo de juego, y devuelven qué
+ * casillas forman el patrón y cuántas faltan. No sustituye la verificación
+ * del backend; solo permite avisar al jugador antes de `potential-winner`.
+ */
+
+export const COLUMNS = ['B', 'I', 'N', 'G', 'O'];
+
+const GRID_SIZE = 5;
+
+// Patrones ULTRA (5x5 grid, 1 = casilla requerida)
+export const PATTERN_GRIDS = {
+  fullCard: [
+    [1,1,1,1,1],
+    [1,1,1,1,1],
+    [1,1,0,1,1], // Centro es FREE
+    [1,1,1,1,1],
+    [1,1,1,1,1],
+  ],
+  letterU: [
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1],
+  ],
+  letterL: [
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,1,1,1,1],
+  ],
+  letterT: [
+    [1,1,1,1,1],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+  ],
+  letterR: [
+    [1,1,1,1,0],
+    [1,0,0,1,0],
+    [1,1,1,1,0],
+    [1,0,1,0,0],
+    [1,0,0,1,0],
+  ],
+  letterA: [
+    [0,1,1,1,0],
+    [1,0,0,0,1],
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+  ],
+  line: [
+    [1,0,0,0,0],
+    [0,1,0,0,0],
+    [0,0,1,0,0],
+    [0,0,0,1,0],
+    [0,0,0,0,1],
+  ],
+  corners: [
+    [1,0,0,0,1],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,0,0,0,1],
+  ],
+};
+
+// Nombres para mostrar de cada modo
+export const PATTERN_NAMES = {
+  fullCard: 'Cartón Completo',
+  letterU: 'Letra U',
+  letterL: 'Letra L',
+  letterT: 'Letra T',
+  letterR: 'Letra R',
+  letterA: 'Letra A',
+  line: 'Línea',
+  corners: '4 Esquinas',
+};
+
+// Modos de los tickets 90 (UK) y 30 (speed): se juegan por filas completas
+export const TICKET_PATTERN_NAMES = {
+  oneLine: 'Una Línea',
+  twoLines: 'Dos Líneas',
+  fullHouse: 'Cartón Lleno',
+};
+
+// Build a grid with a single set of cells turned on
+function gridFromCells(cells) {
+  const grid = Array.from({ length: GRID_SIZE }, () => Array(GRID_SIZE).fill(0));
+  cells.forEach(([row, col]) => {
+    grid[row][col] = 1;
+  });
+  return grid;
+}
+
+const range = Array.from({ length: GRID_SIZE }, (_, i) => i);
+
+// "Línea" se completa con cualquier fila, columna o diagonal
+const LINE_GRIDS = [
+  gridFromCells(range.map((i) => [i, i])),
+  gridFromCells(range.map((i) => [i, GRID_SIZE - 1 - i])),
+  ...range.map((row) => gridFromCells(range.map((col) => [row, col]))),
+  ...range.map((col) => gridFromCells(range.map((row) => [row, col]))),
+];
+
+// Alternative grids per mode; any one of them completes the pattern
+const PATTERN_ALTERNATIVES = {
+  line: LINE_GRIDS,
+};
+
+// Patrones personalizados creados por el admin (llegan en /api/game/modes con `grid`)
+const customPatterns = new Map();
+
+/**
+ * Registra los patrones personalizados de la lista de modos del servidor
+ * @param {{ key: string, name: string, grid?: number[][], custom?: boolean }[]} modes
+ */
+export function registerCustomPatterns(modes = []) {
+  customPatterns.clear();
+  modes.forEach((mode) => {
+    if (mode.custom && isValidGrid(mode.grid)) {
+      customPatterns.set(mode.key, { name: mode.name, grid: mode.grid });
+    }
+  });
+}
+
+/**
+ * Nombre para mostrar de un modo (incluye patrones personalizados)
+ * @param {string} modeKey - Clave del modo de juego
+ * @returns {string | undefined}
+ */
+export function getPatternName(modeKey) {
+  return PATTERN_NAMES[modeKey] || TICKET_PATTERN_NAMES[modeKey] || customPatterns.get(modeKey)?.name;
+}
+
+/**
+ * Obtiene la cuadrícula visual de un modo (la primera alternativa)
+ * @param {string} modeKey - Clave del modo de juego
+ * @returns {number[][]} Grid 5x5
+ */
+export function getPatternGrid(modeKey) {
+  return PATTERN_GRIDS[modeKey] || customPatterns.get(modeKey)?.grid || PATTERN_GRIDS.fullCard;
+}
+
+/**
+ * Cuadrícula vacía para el diseñador de patrones
+ * @returns {number[][]} Grid 5x5 sin casillas
+ */
+export function createEmptyGrid() {
+  return Array.from({ length: GRID_SIZE }, () => Array(GRID_SIZE).fill(0));
+}
+
+/**
+ * Indica si la casilla es el centro libre (siempre marcado, no se diseña)
+ */
+export function isCenterCell(row, col) {
+  const center = Math.floor(GRID_SIZE / 2);
+  return row === center && col === center;
+}
+
+/**
+ * Activa o desactiva una casilla del patrón
+ * @param {number[][]} grid - Grid 5x5
+ * @param {number} row - Fila
+ * @param {number} col - Columna
+ * @returns {number[][]} Nuevo grid
+ */
+export function togglePatternCell(grid, row, col) {
+  if (isCenterCell(row, col)) return grid;
+  return grid.map((cells, r) => (
+    r === row ? cells.map((cell, c) => (c === col ? (cell ? 0 : 1) : cell)) : cells
+  ));
+}
+
+/**
+ * Número de casillas requeridas del patrón (sin contar el centro libre)
+ * @param {number[][]} grid - Grid 5x5
+ * @returns {number}
+ */
+export function countPatternCells(grid) {
+  return grid.reduce((total, cells, row) => (
+    total + cells.filter((cell, col) => cell && !isCenterCell(row, col)).length
+  ), 0);
+}
+
+// Un grid válido es 5x5 de 0/1
+function isValidGrid(grid) {
+  return Array.isArray(grid)
+    && grid.length === GRID_SIZE
+    && grid.every((cells) => Array.isArray(cells) && cells.length === GRID_SIZE);
+}
+
+/**
+ * Valida un patrón personalizado antes de guardarlo
+ * @param {{ name: string, grid: number[][] }} pattern
+ * @returns {string | null} Mensaje de error o null si es válido
+ */
+export function validateCustomPattern({ name, grid }) {
+  if (!name?.trim()) return 'El patrón necesita un nombre';
+  if (!isValidGrid(grid)) return 'El patrón debe ser una cuadrícula de 5x5';
+  if (countPatternCells(grid) === 0) return 'Marca al menos una casilla';
+  return null;
+}
+
+/**
+ * Obtiene todas las cuadrículas que completan un modo
+ * @param {string} modeKey - Clave del modo de juego
+ * @returns {number[][][]} Lista de grids 5x5
+ */
+export function getPatternAlternatives(modeKey) {
+  return PATTERN_ALTERNATIVES[modeKey] || [getPatternGrid(modeKey)];
+}
+
+/**
+ * Indica si un valor del cartón es la casilla libre
+ */
+export function isFreeCell(value) {
+  return value === 'FREE' || value === 0;
+}
+
+/**
+ * Valor de una casilla del cartón por fila/columna
+ */
+export function getCellValue(numbers, row, col) {
+  return numbers?.[COLUMNS[col]]?.[row];
+}
+
+// Filas que hay que completar en cada modo de ticket (el resto: todas)
+const TICKET_LINES_REQUIRED = {
+  oneLine: 1,
+  twoLines: 2,
+};
+
+/**
+ * Evalúa un ticket (matriz de filas, null = casilla vacía) contra un modo
+ *
+ * Se eligen las filas más cercanas a completarse; `fullHouse` exige todas.
+ *
+ * @param {(number|null)[][]} rows - Filas del ticket
+ * @param {Set<number>} called - Números cantados
+ * @param {string} modeKey - oneLine, twoLines o fullHouse
+ * @returns {Object} Mismo formato que evaluatePattern
+ */
+function evaluateTicket(rows, called, modeKey) {
+  const cols = rows[0]?.length || 0;
+  const rowResults = rows.map((cells, row) => {
+    const patternCells = [];
+    const matchedCells = [];
+    const missingCells = [];
+    const missingNumbers = [];
+    cells.forEach((value, col) => {
+      if (value == null) return;
+      const cellIndex = row * cols + col;
+      patternCells.push(cellIndex);
+      if (called.has(value)) {
+        matchedCells.push(cellIndex);
+      } else {
+        missingCells.push(cellIndex);
+        missingNumbers.push(value);
+      }
+    });
+    return { patternCells, matchedCells, missingCells, missingNumbers };
+  });
+
+  const linesRequired = Math.min(TICKET_LINES_REQUIRED[modeKey] || rows.length, rows.length);
+  const closest = [...rowResults]
+    .sort((a, b) => a.missingCells.length - b.missingCells.length)
+    .slice(0, linesRequired);
+
+  const result = {
+    patternCells: closest.flatMap((r) => r.patternCells),
+    matchedCells: closest.flatMap((r) => r.matchedCells),
+    missingCells: closest.flatMap((r) => r.missingCells),
+    missingNumbers: closest.flatMap((r) => r.missingNumbers),
+  };
+  return {
+    ...result,
+    isComplete: result.missingCells.length === 0,
+    missingCount: result.missingCells.length,
+  };
+}
+
+/**
+ * Evalúa un cartón contra un modo de juego
+ *
+ * Cuando el modo tiene varias alternativas (p. ej. "line"), se devuelve la
+ * que está más cerca de completarse.
+ *
+ * @param {Object|Array} numbers - Números del cartón { B: [], I: [], N: [], G: [], O: [] } o filas de un ticket
+ * @param {number[]} calledNumbers - Números cantados
+ * @param {string} modeKey - Clave del modo de juego
+ * @param {number[][] | null} [customGrid] - Grid personalizado ya resuelto del modo (si no, se busca en el registro)
+ * @returns {{
+ *   isComplete: boolean,
+ *   patternCells: number[],
+ *   matchedCells: number[],
+ *   missingCells: number[],
+ *   missingNumbers: number[],
+ *   missingCount: number,
+ * } | null} Resultado, o null si el cartón no tiene números
+ */
+export function evaluatePattern(numbers, calledNumbers = [], modeKey = 'fullCard', customGrid = null) {
+  if (!numbers) return null;
+
+  const called = calledNumbers instanceof Set ? calledNumbers : new Set(calledNumbers);
+  // Tickets 90/30 llegan como matriz de filas en lugar de columnas B/I/N/G/O
+  if (Array.isArray(numbers)) return evaluateTicket(numbers, called, modeKey);
+  let best = null;
+  const alternatives = isValidGrid(customGrid) ? [customGrid] : getPatternAlternatives(modeKey);
+
+  for (const grid of alternatives) {
+    const patternCells = [];
+    const matchedCells = [];
+    const missingCells = [];
+    const missingNumbers = [];
+
+    for (let row = 0; row < GRID_SIZE; row++) {
+      for (let col = 0; col < GRID_SIZE; col++) {
+        if (!grid[row][col]) continue;
+
+        const cellIndex = row * GRID_SIZE + col;
+        const value = getCellValue(numbers, row, col);
+        patternCells.push(cellIndex);
+
+        if (isFreeCell(value) || called.has(value)) {
+          matchedCells.push(cellIndex);
+        } else {
+          missingCells.push(cellIndex);
+          missingNumbers.push(value);
+        }
+      }
+    }
+
+    if (!best || missingCells.length < best.missingCells.length) {
+      best = { patternCells, matchedCells, missingCells, missingNumbers };
+    }
+    if (best.missingCells.length === 0) break;
+  }
+
+  return {
+    ...best,
+    isComplete: best.missingCells.length === 0,
+    missingCount: best.missingCells.length,
+  };
+}
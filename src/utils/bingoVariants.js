@@ -0,0 +1,152 @@
+/**
+ * Variantes de bingo: 75 bolas (US, cartón 5x5), 90 bolas (UK, tickets 3x9
+ * en tiras de 6) y 30 bolas (speed, tickets 3x3).
+ *
+ * Los cartones de 75 llegan por columnas { B, I, N, G, O }; los tickets de
+ * 90 y 30 llegan como matriz de filas con `null` en las casillas vacías.
+ */
+
+import { config } from '../config';
+import { COLUMNS, TICKET_PATTERN_NAMES, getCellValue } from './bingoPatterns';
+
+// Columnas de números consecutivos (p. ej. 1-9, 10-19 ... 80-90)
+function rangeColumns(ranges) {
+  return ranges.map(([min, max]) => ({ label: `${min}-${max}`, min, max }));
+}
+
+export const BINGO_VARIANTS = {
+  us75: {
+    key: 'us75',
+    name: '75 bolas',
+    description: 'Cartón 5x5 B-I-N-G-O con casilla libre',
+    totalNumbers: 75,
+    columns: COLUMNS.map((letter) => ({ label: letter, ...config.bingoColumns[letter] })),
+    defaultMode: 'fullCard',
+    modes: null, // Patrones ULTRA de /api/game/modes
+  },
+  uk90: {
+    key: 'uk90',
+    name: '90 bolas',
+    description: 'Tickets 3x9 con 15 números, en tiras de 6 que cubren las 90 bolas',
+    totalNumbers: 90,
+    columns: rangeColumns([[1, 9], [10, 19], [20, 29], [30, 39], [40, 49], [50, 59], [60, 69], [70, 79], [80, 90]]),
+    ticketRows: 3,
+    ticketsPerStrip: 6,
+    defaultMode: 'oneLine',
+    modes: ['oneLine', 'twoLines', 'fullHouse'],
+  },
+  speed30: {
+    key: 'speed30',
+    name: '30 bolas',
+    description: 'Speed bingo: tickets 3x3 con 9 números',
+    totalNumbers: 30,
+    columns: rangeColumns([[1, 10], [11, 20], [21, 30]]),
+    ticketRows: 3,
+    defaultMode: 'fullHouse',
+    modes: ['fullHouse'],
+  },
+};
+
+/**
+ * Definición de una variante (la de config por defecto)
+ * @param {string} key - us75, uk90 o speed30
+ * @returns {Object}
+ */
+export function getVariant(key) {
+  return BINGO_VARIANTS[key] || BINGO_VARIANTS[config.defaultVariant] || BINGO_VARIANTS.us75;
+}
+
+/**
+ * Todas las bolas de la variante (1..N)
+ * @param {Object} variant
+ * @returns {number[]}
+ */
+export function getVariantNumbers(variant) {
+  return Array.from({ length: variant.totalNumbers }, (_, i) => i + 1);
+}
+
+/**
+ * Columnas del tablero de números cantados
+ * @param {Object} variant
+ * @returns {{ label: string, numbers: number[] }[]}
+ */
+export function getBoardColumns(variant) {
+  return variant.columns.map(({ label, min, max }) => ({
+    label,
+    numbers: Array.from({ length: max - min + 1 }, (_, i) => min + i),
+  }));
+}
+
+/**
+ * Índice de la columna a la que pertenece un número (-1 si no existe)
+ * @param {number} number
+ * @param {Object} variant
+ * @returns {number}
+ */
+export function getColumnIndex(number, variant) {
+  return variant.columns.findIndex(({ min, max }) => number >= min && number <= max);
+}
+
+/**
+ * Modos de un ticket 90/30 con su vista previa (null en 75: los da el servidor)
+ * @param {Object} variant
+ * @returns {{ key: string, name: string, grid: number[][] }[] | null}
+ */
+export function getVariantModes(variant) {
+  if (!variant.modes) return null;
+  const cols = variant.columns.length;
+  return variant.modes.map((key) => {
+    const lines = { oneLine: 1, twoLines: 2 }[key] || variant.ticketRows;
+    return {
+      key,
+      name: TICKET_PATTERN_NAMES[key],
+      grid: Array.from({ length: variant.ticketRows }, (_, row) => Array(cols).fill(row < lines ? 1 : 0)),
+    };
+  });
+}
+
+/**
+ * Geometría de un cartón para dibujarlo: 5x5 por columnas o ticket por filas
+ * @param {Object|Array} numbers - Números del cartón
+ * @returns {{ rows: number, cols: number, headers: string[] | null, valueAt: Function } | null}
+ */
+export function getCardLayout(numbers) {
+  if (!numbers) return null;
+  if (Array.isArray(numbers)) {
+    return {
+      rows: numbers.length,
+      cols: numbers[0]?.length || 0,
+      headers: null,
+      valueAt: (row, col) => numbers[row]?.[col] ?? null,
+    };
+  }
+  return {
+    rows: COLUMNS.length,
+    cols: COLUMNS.length,
+    headers: COLUMNS,
+    valueAt: (row, col) => getCellValue(numbers, row, col),
+  };
+}
+
+/**
+ * Agrupa tickets de 90 bolas por tira (los sueltos van en su propio grupo)
+ * @param {Object[]} cards - Cartones con `stripId`
+ * @returns {{ stripId: string | null, cards: Object[] }[]}
+ */
+export function groupTicketsByStrip(cards = []) {
+  const groups = [];
+  const byStrip = new Map();
+  cards.forEach((card) => {
+    if (!card.stripId) {
+      groups.push({ stripId: null, cards: [card] });
+      return;
+    }
+    if (!byStrip.has(card.stripId)) {
+      const group = { stripId: card.stripId, cards: [] };
+      byStrip.set(card.stripId, group);
+      groups.push(group);
+    }
+    byStrip.get(card.stripId).cards.push(card);
+  });
+  return groups;
+}
@@ -0,0 +1,134 @@
+/**
+ * Exportación de partidas programadas a calendario (.ics, RFC 5545)
+ *
+ * El archivo se genera en el navegador; no hace falta ningún endpoint.
+ */
+
+// Máximo de octetos por línea (UTF-8), sin contar el salto CRLF
+const LINE_LIMIT = 75;
+// Margen para que el navegador empiece la descarga antes de liberar la URL del blob
+const REVOKE_DELAY_MS = 1000;
+
+// 2026-10-19T18:00:00.000Z -> 20261019T180000Z
+function formatIcsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Escape text values (backslash, comma, semicolon and newlines)
+function escapeIcsText(value = '') {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// UTF-8 length of one code point
+function utf8Length(char) {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code < 0x10000) return 3;
+  return 4;
+}
+
+// Long lines are folded with CRLF + space, counting octets and never splitting a character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  // Continuation lines start with the folding space, which counts towards the limit
+  let limit = LINE_LIMIT;
+
+  for (const char of line) {
+    const size = utf8Length(char);
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+      limit = LINE_LIMIT - 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Genera el contenido .ics de un evento
+ * @param {Object} event
+ * @param {string} event.uid - Identificador único del evento
+ * @param {string} event.title - Título
+ * @param {string|Date} event.start - Inicio
+ * @param {number} event.durationMinutes - Duración estimada
+ * @param {string} event.description - Descripción (opcional)
+ * @param {string} event.url - Enlace a la partida (opcional)
+ * @returns {string} Calendario con un único VEVENT
+ */
+export function buildIcsEvent({ uid, title, start, durationMinutes = 60, description = '', url = '' }) {
+  const startDate = new Date(start);
+  const endDate = new Date(startDate.getTime() + durationMinutes * 60000);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//UltravioletaDAO//Ultra Bingo//ES',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(startDate)}`,
+    `DTEND:${formatIcsDate(endDate)}`,
+    `SUMMARY:${escapeIcsText(title)}`,
+    description && `DESCRIPTION:${escapeIcsText(description)}`,
+    url && `URL:${url}`,
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeIcsText(title)}`,
+    'TRIGGER:-PT10M',
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].filter(Boolean);
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Descarga un archivo .ics
+ * @param {string} filename - Nombre del archivo
+ * @param {string} content - Contenido generado con buildIcsEvent
+ */
+export function downloadIcs(filename, content) {
+  const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename.endsWith('.ics') ? filename : `${filename}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right after click() can cancel the download in Firefox and Safari
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
+
+/**
+ * Formatea una cuenta atrás (ms) como "2d 04:12:09", "04:12:09" o "12:09"
+ * @param {number} ms - Milisegundos restantes
+ * @returns {string}
+ */
+export function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+
+  const clock = hours > 0 || days > 0
+    ? `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`
+    : `${pad(minutes)}:${pad(seconds)}`;
+  return days > 0 ? `${days}d ${clock}` : clock;
+}
@@ -0,0 +1,79 @@
+/**
+ * Regalo de cartones entre usuarios
+ *
+ * El dueño elige cartones sin usar y un destinatario (usuario o wallet) y
+ * firma con su wallet un mensaje que resume el regalo. El backend comprueba
+ * que la firma corresponde a la wallet dueña de los cartones antes de
+ * transferirlos.
+ */
+
+import { isAddress } from 'viem';
+import { hasGameStarted } from './gameStatus';
+
+/**
+ * Motivo por el que un cartón no se puede regalar
+ * @param {Object} card - Cartón de /api/cards/my-cards
+ * @returns {string | null} Texto del motivo o null si se puede regalar
+ */
+export function getGiftBlockReason(card) {
+  if (card.status === 'used') return 'Cartón ya usado';
+  // Once started (even if paused) the card can no longer change hands
+  if (hasGameStarted(card.gameStatus)) return 'La partida ya empezó';
+  if (card.giftPending) return 'Regalo pendiente';
+  return null;
+}
+
+/**
+ * Indica si un cartón se puede regalar
+ * @param {Object} card
+ * @returns {boolean}
+ */
+export function isCardGiftable(card) {
+  return getGiftBlockReason(card) === null;
+}
+
+/**
+ * Interpreta el destinatario escrito por el usuario
+ * @param {string} input - Nombre de usuario (con o sin @) o wallet 0x...
+ * @returns {{ username?: string, wallet?: string } | null} null si no es válido
+ */
+export function parseGiftRecipient(input = '') {
+  const value = input.trim();
+  if (!value) return null;
+  if (value.startsWith('0x')) {
+    return isAddress(value) ? { wallet: value } : null;
+  }
+  const username = value.replace(/^@/, '');
+  return /^[\w.-]{2,32}$/.test(username) ? { username } : null;
+}
+
+/**
+ * Texto legible del destinatario
+ * @param {{ username?: string, wallet?: string }} recipient
+ * @returns {string}
+ */
+export function formatGiftRecipient(recipient) {
+  if (recipient?.username) return `@${recipient.username}`;
+  if (recipient?.wallet) return `${recipient.wallet.slice(0, 6)}…${recipient.wallet.slice(-4)}`;
+  return '';
+}
+
+/**
+ * Mensaje que firma el dueño para confirmar el regalo
+ * @param {Object} params
+ * @param {string} params.from - Usuario que regala
+ * @param {string} params.wallet - Wallet del dueño (la que firma)
+ * @param {{ username?: string, wallet?: string }} params.recipient
+ * @param {string[]} params.cardIds
+ * @param {string} params.issuedAt - Fecha ISO (evita reutilizar la firma)
+ * @returns {string}
+ */
+export function buildGiftMessage({ from, wallet, recipient, cardIds, issuedAt }) {
+  return [
+    'UltraBingo - Regalo de cartones',
+    `De: @${from} (${wallet})`,
+    `Para: ${recipient.username ? `@${recipient.username}` : recipient.wallet}`,
+    `Cartones: ${cardIds.join(', ')}`,
+    `Fecha: ${issuedAt}`,
+  ].join('\n');
+}
@@ -0,0 +1,60 @@
+/**
+ * Elegir cartones concretos antes de comprarlos
+ *
+ * El jugador recorre por páginas los cartones disponibles de la sala, los
+ * filtra por sus "números de la suerte" y marca los que quiere. Los elegidos
+ * se reservan durante unos minutos y después se pagan exactamente esos.
+ */
+
+import { getCardLayout } from './bingoVariants';
+import { isFreeCell } from './bingoPatterns';
+
+export const PICKER_PAGE_SIZE = 12;
+
+// Como mucho se filtra por tantos números a la vez
+const MAX_FILTER_NUMBERS = 10;
+
+/**
+ * Interpreta el filtro "números que contiene" escrito por el usuario
+ * @param {string} input - Números separados por comas o espacios
+ * @param {number} maxNumber - Número más alto del bombo
+ * @returns {number[]} Números válidos, sin repetir y ordenados
+ */
+export function parseNumberFilter(input = '', maxNumber = 75) {
+  const numbers = input
+    .split(/[\s,;]+/)
+    .map((part) => Number(part))
+    .filter((n) => Number.isInteger(n) && n >= 1 && n <= maxNumber);
+  return [...new Set(numbers)].sort((a, b) => a - b).slice(0, MAX_FILTER_NUMBERS);
+}
+
+/**
+ * Números de un cartón (sin la casilla libre ni los huecos de los tickets)
+ * @param {Object} card
+ * @returns {number[]}
+ */
+export function getCardNumberList(card) {
+  const layout = getCardLayout(card?.numbers);
+  if (!layout) return [];
+
+  const numbers = [];
+  for (let row = 0; row < layout.rows; row++) {
+    for (let col = 0; col < layout.cols; col++) {
+      const value = layout.valueAt(row, col);
+      if (value !== null && !isFreeCell(value)) numbers.push(value);
+    }
+  }
+  return numbers;
+}
+
+/**
+ * Indica si un cartón contiene todos los números del filtro
+ * @param {Object} card
+ * @param {number[]} numbers
+ * @returns {boolean}
+ */
+export function cardContainsNumbers(card, numbers = []) {
+  if (numbers.length === 0) return true;
+  const cardNumbers = new Set(getCardNumberList(card));
+  return numbers.every((n) => cardNumbers.has(n));
+}
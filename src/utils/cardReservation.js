@@ -0,0 +1,45 @@
+/**
+ * Reserva temporal de cartones mientras se paga
+ *
+ * El backend aparta los cartones para el comprador durante unos minutos; si
+ * el pago no llega antes de `expiresAt` vuelven a quedar disponibles.
+ */
+
+/**
+ * Normaliza la respuesta de /api/cards/reserve
+ * @param {Object} data - Respuesta del backend ({ reservation } o la reserva directamente)
+ * @returns {{ id: string, cardIds: string[], cards: Object[], expiresAt: number } | null}
+ */
+export function normalizeReservation(data) {
+  const reservation = data?.reservation || data;
+  if (!reservation?.id || !reservation.expiresAt) return null;
+
+  const cards = Array.isArray(reservation.cards) ? reservation.cards : [];
+  return {
+    id: reservation.id,
+    cardIds: reservation.cardIds || cards.map((card) => card.id),
+    cards,
+    expiresAt: new Date(reservation.expiresAt).getTime(),
+  };
+}
+
+/**
+ * Segundos que le quedan a la reserva
+ * @param {{ expiresAt: number } | null} reservation
+ * @param {number} now - Date.now()
+ * @returns {number}
+ */
+export function getHoldSecondsLeft(reservation, now) {
+  if (!reservation) return 0;
+  return Math.max(0, Math.ceil((reservation.expiresAt - now) / 1000));
+}
+
+/**
+ * Cuenta atrás en formato m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatHoldTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,75 @@
+/**
+ * Verificación pública de cartones por QR
+ *
+ * Cada cartón tiene una página pública de solo lectura (/carton/:id) con su
+ * cuadrícula, dueño, partida y si ganó. El QR del cartón (en pantalla o
+ * impreso) apunta a esa página para que el admin pueda verificar un bingo
+ * escaneándolo durante un evento presencial.
+ */
+
+import QRCode from 'qrcode';
+
+/**
+ * Ruta de la página pública de un cartón
+ * @param {string} cardId
+ * @returns {string}
+ */
+export function getCardVerifyPath(cardId) {
+  return `/carton/${encodeURIComponent(cardId)}`;
+}
+
+/**
+ * URL absoluta de la página pública (lo que se codifica en el QR)
+ * @param {string} cardId
+ * @returns {string}
+ */
+export function getCardVerifyUrl(cardId) {
+  return `${window.location.origin}${getCardVerifyPath(cardId)}`;
+}
+
+/**
+ * Genera el QR de un cartón como SVG
+ * @param {string} cardId
+ * @returns {Promise<string>} Marcado SVG
+ */
+export function renderCardQrSvg(cardId) {
+  return QRCode.toString(getCardVerifyUrl(cardId), {
+    type: 'svg',
+    margin: 0,
+    errorCorrectionLevel: 'M',
+  });
+}
+
+/**
+ * Normaliza la respuesta de /api/cards/:id/public
+ * @param {Object} data - Respuesta del backend ({ card } o el cartón directamente)
+ * @returns {{
+ *   id: string,
+ *   numbers: Object | number[][],
+ *   ownerUsername: string | null,
+ *   gameId: string | null,
+ *   roomName: string | null,
+ *   gameStatus: string | null,
+ *   gameMode: string | null,
+ *   calledNumbers: number[],
+ *   isWinner: boolean,
+ *   wonAt: string | null,
+ * } | null}
+ */
+export function normalizePublicCard(data) {
+  const card = data?.card || data;
+  if (!card?.id || !card.numbers) return null;
+
+  return {
+    id: card.id,
+    numbers: card.numbers,
+    ownerUsername: card.odUsername || card.ownerUsername || null,
+    gameId: card.gameId || null,
+    roomName: card.roomName || null,
+    gameStatus: card.gameStatus || null,
+    gameMode: card.gameMode || null,
+    calledNumbers: Array.isArray(card.calledNumbers) ? card.calledNumbers : [],
+    isWinner: !!card.isWinner,
+    wonAt: card.wonAt || null,
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * Sorteo verificable (commit–reveal) de números cantados
+ *
+ * 1. Antes de iniciar, el admin genera una semilla y publica su hash SHA-256.
+ * 2. Cada bola aleatoria se toma de la secuencia derivada de la semilla.
+ * 3. Al terminar se revela la semilla y cualquier jugador puede recalcular
+ *    la secuencia y compararla con el historial de números cantados.
+ *
+ * Derivación (sha256-v1): para la posición i se calcula
+ * SHA-256("<semilla>:<i>") como entero y se toma módulo de los números que
+ * quedan en el bombo (Fisher–Yates).
+ */
+
+import { sha256, stringToBytes, hexToBigInt, bytesToHex } from 'viem';
+
+export const DRAW_ALGORITHM = 'sha256-v1';
+
+const SEED_BYTES = 32;
+
+/**
+ * Genera una semilla aleatoria (hex de 32 bytes)
+ * @returns {string} Semilla en formato 0x...
+ */
+export function generateSeed() {
+  const bytes = new Uint8Array(SEED_BYTES);
+  crypto.getRandomValues(bytes);
+  return bytesToHex(bytes);
+}
+
+/**
+ * Compromiso publicado antes del juego: SHA-256 del texto de la semilla
+ * @param {string} seed - Semilla
+ * @returns {string} Hash en formato 0x...
+ */
+export function hashSeed(seed) {
+  return sha256(stringToBytes(seed));
+}
+
+/**
+ * Deriva el orden completo del bombo a partir de la semilla
+ * @param {string} seed - Semilla revelada
+ * @param {number} totalNumbers - Cantidad de bolas (75 por defecto)
+ * @returns {number[]} Secuencia de números en orden de salida
+ */
+export function deriveDrawSequence(seed, totalNumbers = 75) {
+  const pool = Array.from({ length: totalNumbers }, (_, i) => i + 1);
+  const sequence = [];
+
+  for (let i = 0; pool.length > 0; i++) {
+    const hash = hexToBigInt(sha256(stringToBytes(`${seed}:${i}`)));
+    const index = Number(hash % BigInt(pool.length));
+    sequence.push(pool.splice(index, 1)[0]);
+  }
+
+  return sequence;
+}
+
+/**
+ * Siguiente número del sorteo que aún no ha sido cantado
+ * @param {number[]} sequence - Secuencia derivada de la semilla
+ * @param {number[]} calledNumbers - Números ya cantados
+ * @returns {number | null}
+ */
+export function getNextDrawNumber(sequence, calledNumbers = []) {
+  const called = new Set(calledNumbers);
+  return sequence.find((n) => !called.has(n)) ?? null;
+}
+
+/**
+ * Verifica un juego terminado contra la semilla revelada
+ *
+ * Cada número cantado se compara con el siguiente número del sorteo que aún
+ * no había salido en ese momento; los números cantados a mano no coinciden.
+ *
+ * @param {Object} params
+ * @param {string} params.seed - Semilla revelada
+ * @param {string} params.commitment - Hash publicado antes del juego
+ * @param {number[]} params.calledNumbers - Historial de números cantados (en orden)
+ * @param {number} params.totalNumbers - Cantidad de bolas
+ * @returns {{
+ *   commitmentValid: boolean,
+ *   sequence: number[],
+ *   results: { number: number, expected: number | null, matches: boolean }[],
+ *   allMatch: boolean,
+ * }}
+ */
+export function verifyDraw({ seed, commitment, calledNumbers = [], totalNumbers = 75 }) {
+  const commitmentValid = !!seed && !!commitment && hashSeed(seed).toLowerCase() === commitment.toLowerCase();
+  const sequence = seed ? deriveDrawSequence(seed, totalNumbers) : [];
+
+  const results = calledNumbers.map((number, i) => {
+    const expected = getNextDrawNumber(sequence, calledNumbers.slice(0, i));
+    return { number, expected, matches: expected === number };
+  });
+
+  return {
+    commitmentValid,
+    sequence,
+    results,
+    allMatch: commitmentValid && results.every((r) => r.matches),
+  };
+}
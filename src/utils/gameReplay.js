@@ -0,0 +1,66 @@
+/**
+ * Utilidades para repetir una partida terminada bola a bola
+ *
+ * El backend devuelve el historial de una partida (números en orden de
+ * salida, modo y ganadores); aquí se normaliza y se calcula en qué bola cada
+ * cartón completó el patrón.
+ */
+
+import { evaluatePattern } from './bingoPatterns';
+import { normalizeWinners } from './winners';
+
+/**
+ * Normaliza la respuesta de /api/game/history/:gameId
+ * @param {Object} data - Respuesta del backend ({ game } o la partida directamente)
+ * @returns {{
+ *   gameId: string,
+ *   gameMode: string,
+ *   variant: string | null,
+ *   patternName: string | null,
+ *   calledNumbers: number[],
+ *   winner: Object | null,
+ *   winners: Object[],
+ *   startedAt: string | null,
+ *   endedAt: string | null,
+ * } | null}
+ */
+export function normalizeReplay(data) {
+  const game = data?.game || data;
+  if (!game || !Array.isArray(game.calledNumbers)) return null;
+
+  // Los co-ganadores de la misma bola llegan en `winners`
+  const winners = normalizeWinners(game);
+  return {
+    gameId: game.gameId || game.id,
+    gameMode: game.gameMode || 'fullCard',
+    variant: game.variant || null,
+    patternName: game.patternName || game.patternInfo?.name || null,
+    calledNumbers: game.calledNumbers,
+    winner: winners[0] || null,
+    winners,
+    startedAt: game.startedAt || null,
+    endedAt: game.endedAt || null,
+  };
+}
+
+/**
+ * Bola (1-based) en la que un cartón completó el patrón
+ * @param {Object} numbers - Números del cartón
+ * @param {number[]} calledNumbers - Números cantados en orden
+ * @param {string} modeKey - Clave del modo de juego
+ * @param {number[][] | null} [customGrid] - Grid del modo si es un patrón personalizado
+ * @returns {number | null} Número de bola, o null si nunca lo completó
+ */
+export function findCompletionCall(numbers, calledNumbers, modeKey, customGrid = null) {
+  if (!numbers) return null;
+
+  // Si no lo completa con todas las bolas, no hace falta recorrerlas
+  if (!evaluatePattern(numbers, calledNumbers, modeKey, customGrid)?.isComplete) return null;
+
+  for (let step = 1; step <= calledNumbers.length; step++) {
+    if (evaluatePattern(numbers, calledNumbers.slice(0, step), modeKey, customGrid).isComplete) {
+      return step;
+    }
+  }
+  return null;
+}
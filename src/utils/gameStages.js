@@ -0,0 +1,56 @@
+/**
+ * Partidas por etapas: una sola partida con varios premios en orden
+ * (p. ej. primera línea, luego una letra y por último cartón completo).
+ * Los números cantados se conservan entre etapas; solo cambia el patrón.
+ */
+
+import { getPatternName } from './bingoPatterns';
+import { mergeWinners } from './winners';
+
+// Orden clásico de una noche de bingo
+export const DEFAULT_STAGE_MODES = ['line', 'letterT', 'fullCard'];
+
+/**
+ * Normaliza la lista de etapas recibida del servidor
+ * @param {(string|Object)[]} stages - Claves de modo u objetos { gameMode, winners, prize }
+ * @returns {{ gameMode: string, name: string, winners: Object[], prize: number | null }[]}
+ */
+export function normalizeStages(stages = []) {
+  if (!Array.isArray(stages)) return [];
+  return stages.map((stage) => {
+    const gameMode = typeof stage === 'string' ? stage : stage.gameMode || stage.mode;
+    return {
+      gameMode,
+      name: stage.name || getPatternName(gameMode) || gameMode,
+      winners: Array.isArray(stage.winners) ? stage.winners : [],
+      // Parte del bote de esta etapa, solo si el servidor la envía
+      prize: typeof stage.prize === 'number' ? stage.prize : null,
+    };
+  });
+}
+
+/**
+ * Registra ganadores verificados en una etapa
+ * @param {Object[]} stages - Etapas normalizadas
+ * @param {number} index - Índice de la etapa
+ * @param {Object[]} winners - Ganadores a añadir
+ * @returns {Object[]} Nuevas etapas
+ */
+export function recordStageWinners(stages, index, winners) {
+  if (!stages?.[index] || winners.length === 0) return stages;
+  return stages.map((stage, i) => (
+    i === index ? { ...stage, winners: mergeWinners(stage.winners, winners) } : stage
+  ));
+}
+
+/**
+ * Estado de cada etapa respecto a la actual
+ * @param {number} index - Índice de la etapa
+ * @param {number} currentStage - Índice de la etapa en juego
+ * @param {Object} stage - Etapa normalizada
+ * @returns {'won' | 'active' | 'pending'}
+ */
+export function getStageStatus(index, currentStage, stage) {
+  if (stage.winners.length > 0 || index < currentStage) return 'won';
+  return index === currentStage ? 'active' : 'pending';
+}
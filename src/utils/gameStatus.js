@@ -0,0 +1,24 @@
+/**
+ * Estados de una partida
+ *
+ * waiting → playing ⇄ paused → ended. Una partida pausada ya empezó: sigue
+ * en curso aunque no se estén cantando números.
+ */
+
+/**
+ * La partida está en curso (jugando o pausada)
+ * @param {string} status
+ * @returns {boolean}
+ */
+export function isGameInProgress(status) {
+  return status === 'playing' || status === 'paused';
+}
+
+/**
+ * La partida ya empezó (en curso o terminada)
+ * @param {string} status
+ * @returns {boolean}
+ */
+export function hasGameStarted(status) {
+  return isGameInProgress(status) || status === 'ended';
+}
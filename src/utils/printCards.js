@@ -0,0 +1,164 @@
+/**
+ * Exportación de cartones para imprimir (o guardar como PDF desde el diálogo
+ * de impresión del navegador)
+ *
+ * Todo se genera en el navegador: la cuadrícula sale de `getCardLayout`
+ * (la misma que dibuja BingoCard) y cada cartón lleva su id y un QR en SVG
+ * que apunta a su página pública de verificación.
+ */
+
+import { getCardLayout } from './bingoVariants';
+import { renderCardQrSvg } from './cardVerification';
+
+export const PRINT_PAGE_SIZES = {
+  A4: 'A4',
+  letter: 'Carta (Letter)',
+};
+
+export const PRINT_CARDS_PER_PAGE = [1, 2, 4, 6];
+
+// Columnas x filas de la hoja según cartones por página
+const PAGE_GRID = {
+  1: [1, 1],
+  2: [1, 2],
+  4: [2, 2],
+  6: [2, 3],
+};
+
+// Escape text inserted in the generated HTML
+function escapeHtml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Celdas de un cartón como tabla HTML
+function renderCardTable(card) {
+  const layout = getCardLayout(card.numbers);
+  if (!layout) return '';
+
+  const header = layout.headers
+    ? `<thead><tr>${layout.headers.map((letter) => `<th>${letter}</th>`).join('')}</tr></thead>`
+    : '';
+  const rows = Array.from({ length: layout.rows }, (_, row) => {
+    const cells = Array.from({ length: layout.cols }, (_, col) => {
+      const value = layout.valueAt(row, col);
+      if (value === null) return '<td class="blank"></td>';
+      if (value === 'FREE') return '<td class="free">FREE</td>';
+      return `<td>${escapeHtml(value)}</td>`;
+    });
+    return `<tr>${cells.join('')}</tr>`;
+  });
+
+  return `<table class="${layout.headers ? '' : 'ticket'}">${header}<tbody>${rows.join('')}</tbody></table>`;
+}
+
+/**
+ * Genera el documento HTML de impresión
+ * @param {Object[]} cards - Cartones a imprimir
+ * @param {Object} options
+ * @param {string} options.pageSize - A4 o letter
+ * @param {number} options.perPage - Cartones por página
+ * @param {boolean} options.monochrome - Tema blanco y negro (ahorra tinta)
+ * @param {Object<string, string>} options.qrCodes - SVG del QR por id de cartón
+ * @returns {string} HTML completo
+ */
+export function buildPrintDocument(cards, { pageSize = 'A4', perPage = 4, monochrome = false, qrCodes = {} } = {}) {
+  const [cols, rows] = PAGE_GRID[perPage] || PAGE_GRID[4];
+  const accent = monochrome ? '#000' : '#c41e3a';
+  const pages = [];
+  for (let i = 0; i < cards.length; i += perPage) {
+    pages.push(cards.slice(i, i + perPage));
+  }
+
+  const body = pages.map((pageCards) => `
+    <section class="page">
+      ${pageCards.map((card) => `
+        <article class="card">
+          <header>
+            <strong>Ultra Bingo</strong>
+            <span>#${escapeHtml(card.id)}</span>
+          </header>
+          ${renderCardTable(card)}
+          <footer>
+            <div class="qr">${qrCodes[card.id] || ''}</div>
+            <span>Cartón ${escapeHtml(String(card.id).slice(-8))}</span>
+          </footer>
+        </article>`).join('')}
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Ultra Bingo - Cartones</title>
+<style>
+  @page { size: ${pageSize === 'letter' ? 'letter' : 'A4'}; margin: 10mm; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: Arial, Helvetica, sans-serif; color: #000; }
+  .page {
+    display: grid;
+    grid-template-columns: repeat(${cols}, 1fr);
+    grid-template-rows: repeat(${rows}, 1fr);
+    gap: 6mm;
+    height: 100vh;
+    page-break-after: always;
+    break-after: page;
+  }
+  .page:last-child { page-break-after: auto; break-after: auto; }
+  .card {
+    display: flex;
+    flex-direction: column;
+    justify-content: space-between;
+    padding: 4mm;
+    border: 2px solid ${accent};
+    border-radius: 4mm;
+    break-inside: avoid;
+  }
+  .card header, .card footer { display: flex; align-items: center; justify-content: space-between; font-size: 9pt; }
+  .card header strong { color: ${accent}; font-size: 11pt; }
+  table { width: 100%; border-collapse: collapse; table-layout: fixed; margin: 3mm 0; }
+  th { background: ${accent}; color: #fff; font-size: 14pt; padding: 1mm 0; }
+  td { border: 1px solid #000; text-align: center; font-size: 14pt; font-weight: bold; height: 11mm; }
+  table.ticket td { font-size: 11pt; height: 9mm; }
+  td.free { font-size: 8pt; background: ${monochrome ? '#fff' : '#fff3c4'}; }
+  td.blank { background: ${monochrome ? '#fff' : '#f2f2f2'}; }
+  .qr { width: 20mm; height: 20mm; }
+  .qr svg { width: 100%; height: 100%; }
+</style>
+</head>
+<body>${body}</body>
+</html>`;
+}
+
+/**
+ * Genera los QR y abre el diálogo de impresión en un iframe oculto
+ * @param {Object[]} cards - Cartones a imprimir
+ * @param {Object} options - pageSize, perPage, monochrome
+ * @returns {Promise<void>}
+ */
+export async function printCards(cards, options = {}) {
+  const qrCodes = {};
+  for (const card of cards) {
+    qrCodes[card.id] = await renderCardQrSvg(card.id);
+  }
+
+  const iframe = document.createElement('iframe');
+  iframe.style.position = 'fixed';
+  iframe.style.width = '0';
+  iframe.style.height = '0';
+  iframe.style.border = '0';
+  document.body.appendChild(iframe);
+
+  const doc = iframe.contentDocument;
+  doc.open();
+  doc.write(buildPrintDocument(cards, { ...options, qrCodes }));
+  doc.close();
+
+  // Remove the frame once the print dialog is closed
+  iframe.contentWindow.addEventListener('afterprint', () => iframe.remove());
+  iframe.contentWindow.focus();
+  iframe.contentWindow.print();
+}
@@ -0,0 +1,94 @@
+/**
+ * Bote de premios y estado del pago al ganador
+ *
+ * El bote se calcula en el cliente a partir de los cartones vendidos; si el
+ * backend envía `prizePool` ya calculado, ese valor tiene prioridad.
+ */
+
+import { config } from '../config';
+
+// Estados del pago enviados por el backend
+export const PAYOUT_STATUS_LABELS = {
+  pending: 'Pago pendiente',
+  sent: 'Pago enviado',
+  confirmed: 'Pago confirmado',
+  failed: 'Pago fallido',
+};
+
+/**
+ * Calcula el bote de una partida
+ * @param {Object} params
+ * @param {number} params.cardsSold - Cartones vendidos
+ * @param {number} params.cardPrice - Precio por cartón (USDC)
+ * @param {number} params.houseFeePercent - Porcentaje de la casa (0-100)
+ * @returns {{ cardsSold: number, gross: number, houseFee: number, net: number, houseFeePercent: number }}
+ */
+export function computePrizePool({
+  cardsSold = 0,
+  cardPrice = config.cardPrice,
+  houseFeePercent = config.prizePool.houseFeePercent,
+}) {
+  const feePercent = Math.min(100, Math.max(0, houseFeePercent));
+  const gross = cardsSold * cardPrice;
+  const houseFee = (gross * feePercent) / 100;
+
+  return {
+    cardsSold,
+    gross,
+    houseFee,
+    net: gross - houseFee,
+    houseFeePercent: feePercent,
+  };
+}
+
+/**
+ * Bote a mostrar para un estado de juego (valor del backend o calculado)
+ * @param {Object} state - gameState o sala con cardsSold / cardPrice / prizePool
+ * @returns {ReturnType<typeof computePrizePool> | null} null si no hay datos de ventas
+ */
+export function getPrizePool(state) {
+  if (!state) return null;
+  if (state.prizePool?.net != null) return state.prizePool;
+  if (state.cardsSold == null) return null;
+
+  return computePrizePool({
+    cardsSold: state.cardsSold,
+    cardPrice: state.cardPrice ?? config.cardPrice,
+    houseFeePercent: state.houseFeePercent ?? config.prizePool.houseFeePercent,
+  });
+}
+
+/**
+ * Reparte el bote entre co-ganadores (al céntimo; el resto va a los primeros)
+ * @param {number} net - Bote neto
+ * @param {number} count - Número de ganadores
+ * @returns {number[]} Importe de cada ganador
+ */
+export function splitPrizePool(net, count) {
+  if (!count || count < 1) return [];
+  const totalCents = Math.round(net * 100);
+  const baseCents = Math.floor(totalCents / count);
+  const remainder = totalCents - baseCents * count;
+  return Array.from({ length: count }, (_, i) => (baseCents + (i < remainder ? 1 : 0)) / 100);
+}
+
+/**
+ * Formatea un importe en USDC
+ * @param {number} amount
+ * @returns {string} p. ej. "$1,234.50"
+ */
+export function formatUsdc(amount = 0) {
+  return `$${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Enlace al explorador para una transacción de pago
+ * @param {string} txHash - Hash de la transacción
+ * @param {string} network - Clave de red (avalanche, base...)
+ * @returns {string | null}
+ */
+export function getTxExplorerUrl(txHash, network = config.defaultNetwork) {
+  const explorerUrl = config.networks[network]?.explorerUrl;
+  if (!txHash || !explorerUrl) return null;
+  return `${explorerUrl}/tx/${txHash}`;
+}
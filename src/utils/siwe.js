@@ -0,0 +1,55 @@
+/**
+ * Inicio de sesión con Ethereum (SIWE, EIP-4361)
+ *
+ * 1. El backend entrega un nonce de un solo uso para la wallet.
+ * 2. La wallet conectada firma un mensaje EIP-4361 con ese nonce.
+ * 3. El backend verifica la firma y devuelve el token de sesión.
+ *
+ * Así el token solo se emite a quien demuestra controlar la wallet.
+ */
+
+import { createSiweMessage } from 'viem/siwe';
+
+// Validez del mensaje firmado (el backend debe usarlo antes)
+const MESSAGE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Mensaje EIP-4361 que firma el jugador para iniciar sesión
+ * @param {Object} params
+ * @param {string} params.address - Wallet conectada
+ * @param {number} params.chainId - Red actual de la wallet
+ * @param {string} params.nonce - Nonce entregado por el backend
+ * @param {string} params.username - Usuario con el que entra
+ * @returns {string}
+ */
+export function buildLoginMessage({ address, chainId, nonce, username }) {
+  const issuedAt = new Date();
+  return createSiweMessage({
+    address,
+    chainId,
+    domain: window.location.host,
+    uri: window.location.origin,
+    version: '1',
+    nonce,
+    statement: `Inicia sesión en UltraBingo como @${username}`,
+    issuedAt,
+    expirationTime: new Date(issuedAt.getTime() + MESSAGE_TTL_MS),
+  });
+}
+
+/**
+ * Momento en que caduca el token de sesión
+ * @param {string} token - JWT devuelto por el backend
+ * @param {string|number} [expiresAt] - Caducidad explícita de la respuesta, si la hay
+ * @returns {number | null} Timestamp en ms o null si no se conoce
+ */
+export function getTokenExpiry(token, expiresAt) {
+  if (expiresAt) return new Date(expiresAt).getTime();
+
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
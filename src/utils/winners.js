@@ -0,0 +1,62 @@
+/**
+ * Ganadores múltiples: varios cartones pueden completar el patrón con la
+ * misma bola. El backend envía `winners` (lista) y, por compatibilidad,
+ * `winner` con el primero.
+ */
+
+/**
+ * Lista de ganadores de un evento `winner-announced` / `game-ended`
+ * @param {Object} data - Payload del evento
+ * @returns {Object[]} Ganadores (puede estar vacía)
+ */
+export function normalizeWinners(data) {
+  if (Array.isArray(data?.winners) && data.winners.length > 0) return data.winners;
+  return data?.winner ? [data.winner] : [];
+}
+
+/**
+ * Añade ganadores a una lista sin duplicar cartones
+ * @param {Object[]} current - Ganadores ya conocidos
+ * @param {Object[]} incoming - Ganadores nuevos
+ * @returns {Object[]}
+ */
+export function mergeWinners(current = [], incoming = []) {
+  const known = new Set(current.map((w) => w.cardId));
+  return [...current, ...incoming.filter((w) => !known.has(w.cardId))];
+}
+
+/**
+ * Agrupa posibles ganadores por la bola con la que completaron el patrón
+ * @param {Object[]} potentialWinners - Payloads de `potential-winner`
+ * @returns {{ number: number | null, winners: Object[] }[]} Grupos en orden de llegada
+ */
+export function groupByWinningNumber(potentialWinners = []) {
+  const groups = new Map();
+  potentialWinners.forEach((pw) => {
+    const number = pw.number ?? null;
+    const key = number ?? `card-${pw.cardId}`;
+    if (!groups.has(key)) groups.set(key, { number, winners: [] });
+    groups.get(key).winners.push(pw);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Agrupa el historial de ganadores por partida (co-ganadores juntos)
+ * @param {Object[]} winners - Historial de /api/game/winners
+ * @returns {{ key: string, winners: Object[] }[]}
+ */
+export function groupWinnersByGame(winners = []) {
+  const groups = [];
+  const byGame = new Map();
+  winners.forEach((winner) => {
+    const key = winner.gameId || winner.winnerId;
+    if (!byGame.has(key)) {
+      const group = { key, winners: [] };
+      byGame.set(key, group);
+      groups.push(group);
+    }
+    byGame.get(key).winners.push(winner);
+  });
+  return groups;
+}